@@ -0,0 +1,86 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//------------------------------------------
+// Node.js entry point
+//
+// Engine sources are plain browser scripts which define globals,
+// so they are evaluated in a separate context without any browser dependencies
+// and the public globals defined by them are exported.
+//
+// var physics = require("./physicsRus");
+// var space = new physics.Space();
+//
+// App and WebGL renderer are browser only, demos and renderers are optional modules:
+// require("./physicsRus/demos"), require("./physicsRus/renderers")
+//------------------------------------------
+
+var loadScripts = require("./loader.js").loadScripts;
+
+var ENGINE_FILES = [
+	"math.js",
+	"util.js",
+	"collision.js",
+	"body.js",
+	"joint.js",
+	"joint_angle.js",
+	"joint_revolute.js",
+	"joint_weld.js",
+	"joint_wheel.js",
+	"joint_prismatic.js",
+	"joint_distance.js",
+	"joint_rope.js",
+	"joint_pulley.js",
+	"joint_gear.js",
+	"joint_motor.js",
+	"joint_friction.js",
+	"joint_mouse.js",
+	"shape.js",
+	"shape_circle.js",
+	"shape_segment.js",
+	"shape_poly.js",
+	"shape_chain.js",
+	"contact.js",
+	"contactsolver.js",
+	"broadphase.js",
+	"space.js",
+	"scene_box2d.js",
+	"scene_svg.js"
+];
+
+// Public API, same as the named exports of index.mjs
+var PUBLIC_NAMES = [
+	"deg2rad", "rad2deg", "pixel2meter", "meter2pixel",
+	"vec2", "vec3", "mat2", "mat3", "Transform", "Bounds", "Sweep",
+	"collision", "stats",
+	"Body",
+	"Joint", "AngleJoint", "RevoluteJoint", "WeldJoint", "WheelJoint", "PrismaticJoint", "DistanceJoint", "RopeJoint", "MouseJoint", "MaxDistanceJoint", "SpringJoint", "PulleyJoint", "GearJoint", "MotorJoint", "FrictionJoint",
+	"Shape", "ShapeCircle", "ShapeSegment", "ShapePoly", "ShapeTriangle", "ShapeBox", "ShapeRoundedBox", "ShapeChain",
+	"Contact", "ContactSolver",
+	"DynamicTree",
+	"Space",
+	"box2dScene", "svgScene"
+];
+
+var engine = loadScripts(ENGINE_FILES);
+engine.collision.init();
+
+for (var i = 0; i < PUBLIC_NAMES.length; i++) {
+	exports[PUBLIC_NAMES[i]] = engine[PUBLIC_NAMES[i]];
+}
@@ -0,0 +1,37 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// ES module entry point
+
+import physics from "./index.js";
+
+export default physics;
+
+export const {
+	deg2rad, rad2deg, pixel2meter, meter2pixel,
+	vec2, vec3, mat2, mat3, Transform, Bounds, Sweep,
+	collision, stats,
+	Body,
+	Joint, AngleJoint, RevoluteJoint, WeldJoint, WheelJoint, PrismaticJoint, DistanceJoint, RopeJoint, MouseJoint, MaxDistanceJoint, SpringJoint, PulleyJoint, GearJoint, MotorJoint, FrictionJoint,
+	Shape, ShapeCircle, ShapeSegment, ShapePoly, ShapeTriangle, ShapeBox, ShapeRoundedBox, ShapeChain,
+	Contact, ContactSolver,
+	DynamicTree,
+	Space,
+	box2dScene, svgScene
+} = physics;
@@ -0,0 +1,54 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//------------------------------------------
+// Internal loader of the Node.js modules
+//
+// Engine sources are plain browser scripts which define globals,
+// so they are evaluated in a shared context without any browser dependencies.
+// Optional modules are loaded into the same context after the engine.
+//------------------------------------------
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var context = vm.createContext({ console: console });
+
+// Evaluate scripts in src/ in the engine context.
+// Returns the globals newly defined by the scripts.
+function loadScripts(fileArr) {
+	var names = Object.keys(context);
+
+	for (var i = 0; i < fileArr.length; i++) {
+		var filename = path.join(__dirname, "src", fileArr[i]);
+		vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename: filename });
+	}
+
+	var exported = {};
+	for (var key in context) {
+		if (names.indexOf(key) == -1) {
+			exported[key] = context[key];
+		}
+	}
+
+	return exported;
+}
+
+exports.loadScripts = loadScripts;
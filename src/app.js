@@ -17,7 +17,6 @@
 * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 */
 
-var stats = {};
 //var keyDownArr = [];
 
 App = function() {
@@ -41,6 +40,11 @@ App = function() {
 	var EM_CREATE_ROPE_JOINT = 16;
 	var EM_COLLAPSE_BODIES = 17;
 	var EM_EDGE_SLICE = 18;
+	var EM_CREATE_CHAIN = 19;
+	var EM_CREATE_PULLEY_JOINT = 20;
+	var EM_CREATE_GEAR_JOINT = 21;
+	var EM_CREATE_MOTOR_JOINT = 22;
+	var EM_CREATE_FRICTION_JOINT = 23;
 
 	// selection mode
 	var SM_VERTICES = 0;
@@ -76,6 +80,8 @@ App = function() {
 	var HELPER_PRISMATIC_JOINT_ARROW_SIZE = pixel2meter(12);
 	var HELPER_WHEEL_JOINT_RADIUS = pixel2meter(8);
 	var HELPER_WELD_JOINT_EXTENT = pixel2meter(8);
+	var HELPER_PULLEY_JOINT_RADIUS = pixel2meter(6);
+	var HELPER_FRICTION_JOINT_EXTENT = pixel2meter(6);
 
 	// selectable feature threholds
 	var SELECTABLE_POINT_DIST_THREHOLD = pixel2meter(isAppleMobileDevice() ? 15 : 5);
@@ -88,6 +94,9 @@ App = function() {
 	var DEFAULT_RESTITUTION = 0.4;
 	var DEFAULT_FRICTION = 0.9;
 
+	// minimum distance between the points of brush stroke in pixels
+	var BRUSH_SPACING = 8;
+
 	var PIXEL_UNIT = pixel2meter(1);
 
 	// DOM objects
@@ -136,6 +145,7 @@ App = function() {
 	var mouseBody;
 	var mouseJoint;
 	var creatingBody;
+	var brushStroke;
 	var creatingJoint;
 
 	// editor variables
@@ -270,6 +280,8 @@ App = function() {
 		for (var i in elements) {
 			addEvent(elements[i], "click", function() { return onClickedEditMode(this.value); });
 		}
+		addEvent(domSidebar.querySelector("#import_svg"), "click", onClickedImportSVG);
+		addEvent(domSidebar.querySelector("#import_svg_file"), "change", function() { onChangedImportSVGFile(this.files); });
 		domVertexInspector = domSidebar.querySelector("#vertex_inspector");
 		addEvent(domVertexInspector.querySelector("#vertex_position_x"), "change", function() { onChangedVertexPositionX(this.value); });
 		addEvent(domVertexInspector.querySelector("#vertex_position_x"), "input", function() { onChangedVertexPositionX(this.value); });
@@ -295,6 +307,10 @@ App = function() {
 		addEvent(domShapeInspector.querySelector("#shape_restitution"), "input", function() { onChangedShapeRestitution(this.value); });
 		addEvent(domShapeInspector.querySelector("#shape_friction"), "change", function() { onChangedShapeFriction(this.value); });
 		addEvent(domShapeInspector.querySelector("#shape_friction"), "input", function() { onChangedShapeFriction(this.value); });
+		addEvent(domShapeInspector.querySelector("#shape_sensor"), "click", onClickedShapeSensor);
+		addEvent(domShapeInspector.querySelector("#shape_category_bits"), "change", function() { onChangedShapeCategoryBits(this.value); });
+		addEvent(domShapeInspector.querySelector("#shape_mask_bits"), "change", function() { onChangedShapeMaskBits(this.value); });
+		addEvent(domShapeInspector.querySelector("#shape_group_index"), "change", function() { onChangedShapeGroupIndex(this.value); });
 
 		domBodyInspector = domSidebar.querySelector("#body_inspector");
 		addEvent(domBodyInspector.querySelector("#body_type"), "change", function() { onChangedBodyType(this.value); });
@@ -310,6 +326,7 @@ App = function() {
 		addEvent(domBodyInspector.querySelector("#body_fixed_rotation"), "click", onClickedBodyFixedRotation);
 		addEvent(domBodyInspector.querySelector("#body_category_bits"), "change", function() { onChangedBodyCategoryBits(this.value); });	
 		addEvent(domBodyInspector.querySelector("#body_mask_bits"), "change", function() { onChangedBodyMaskBits(this.value); });
+		addEvent(domBodyInspector.querySelector("#body_group_index"), "change", function() { onChangedBodyGroupIndex(this.value); });
 
 		domJointInspector = domSidebar.querySelector("#joint_inspector");
 		addEvent(domJointInspector.querySelector("#joint_body1"), "change", function() { onChangedJointBody(0, this.value); });		
@@ -327,11 +344,34 @@ App = function() {
 		addEvent(domJointInspector.querySelector("#joint_limit_lower_angle"), "input", function() { onChangedJointLimitLowerAngle(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_limit_upper_angle"), "change", function() { onChangedJointLimitUpperAngle(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_limit_upper_angle"), "input", function() { onChangedJointLimitUpperAngle(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_limit_lower_translation"), "change", function() { onChangedJointLimitLowerTranslation(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_limit_lower_translation"), "input", function() { onChangedJointLimitLowerTranslation(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_limit_upper_translation"), "change", function() { onChangedJointLimitUpperTranslation(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_limit_upper_translation"), "input", function() { onChangedJointLimitUpperTranslation(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_enable_motor"), "click", onClickedJointEnableMotor);
 		addEvent(domJointInspector.querySelector("#joint_motor_speed"), "change", function() { onChangedJointMotorSpeed(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_motor_speed"), "input", function() { onChangedJointMotorSpeed(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_max_motor_torque"), "change", function() { onChangedJointMaxMotorTorque(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_max_motor_torque"), "input", function() { onChangedJointMaxMotorTorque(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_motor_linear_speed"), "change", function() { onChangedJointMotorLinearSpeed(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_motor_linear_speed"), "input", function() { onChangedJointMotorLinearSpeed(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_motor_force"), "change", function() { onChangedJointMaxMotorForce(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_motor_force"), "input", function() { onChangedJointMaxMotorForce(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_linear_offset_x"), "change", function() { onChangedJointLinearOffset(this.value, 0); });
+		addEvent(domJointInspector.querySelector("#joint_linear_offset_x"), "input", function() { onChangedJointLinearOffset(this.value, 0); });
+		addEvent(domJointInspector.querySelector("#joint_linear_offset_y"), "change", function() { onChangedJointLinearOffset(this.value, 1); });
+		addEvent(domJointInspector.querySelector("#joint_linear_offset_y"), "input", function() { onChangedJointLinearOffset(this.value, 1); });
+		addEvent(domJointInspector.querySelector("#joint_angular_offset"), "change", function() { onChangedJointAngularOffset(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_angular_offset"), "input", function() { onChangedJointAngularOffset(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_torque"), "change", function() { onChangedJointMaxTorque(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_torque"), "input", function() { onChangedJointMaxTorque(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_correction_factor"), "change", function() { onChangedJointCorrectionFactor(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_correction_factor"), "input", function() { onChangedJointCorrectionFactor(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_friction_force"), "change", function() { onChangedJointMaxFrictionForce(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_friction_force"), "input", function() { onChangedJointMaxFrictionForce(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_friction_torque"), "change", function() { onChangedJointMaxFrictionTorque(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_max_friction_torque"), "input", function() { onChangedJointMaxFrictionTorque(this.value); });
+		addEvent(domJointInspector.querySelector("#joint_ratio"), "change", function() { onChangedJointRatio(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_spring_frequency_hz"), "change", function() { onChangedJointSpringFrequencyHz(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_spring_frequency_hz"), "input", function() { onChangedJointSpringFrequencyHz(this.value); });
 		addEvent(domJointInspector.querySelector("#joint_spring_damping_ratio"), "change", function() { onChangedJointSpringDampingRatio(this.value); });
@@ -579,6 +619,7 @@ App = function() {
 							shape.b.copy(body.getLocalPoint(wb));
 							break;
 						case Shape.TYPE_POLY:
+						case Shape.TYPE_CHAIN:
 							for (var j = 0; j < shape.tverts.length; j++) {
 								var wv = vec2.add(shape.tverts[j], delta);
 								shape.verts[j].copy(body.getLocalPoint(wv));
@@ -780,6 +821,7 @@ App = function() {
 							shape.b.copy(body.getLocalPoint(wb));
 							break;
 						case Shape.TYPE_POLY:
+						case Shape.TYPE_CHAIN:
 							for (var j = 0; j < shape.tverts.length; j++) {
 								var wv = vec2.add(vec2.rotate(vec2.sub(shape.tverts[j], transformCenter), da), transformCenter);
 								shape.verts[j].copy(body.getLocalPoint(wv));
@@ -1018,6 +1060,7 @@ App = function() {
 							shape.r *= scale.x; // FIXME
 							break;
 						case Shape.TYPE_POLY:
+						case Shape.TYPE_CHAIN:
 							for (var j = 0; j < shape.tverts.length; j++) {
 								var wv = vec2.add(vec2.scale2(vec2.sub(shape.tverts[j], transformCenter), scale), transformCenter);
 								shape.verts[j].copy(body.getLocalPoint(wv));
@@ -1437,6 +1480,8 @@ App = function() {
 				creatingBody.addShape(shape);
 				creatingBody.resetMassData();
 				space.addBody(creatingBody);
+
+				brushStroke = [p];
 			}				
 		}
 		editModeEventArr[EM_CREATE_BRUSH].mouseUp = function(ev) {			
@@ -1457,14 +1502,30 @@ App = function() {
 					p = snapPointByGrid(p);
 				}			
 
-				var shape = creatingBody.shapeArr[0];
-				shape.verts.push(creatingBody.getLocalPoint(p));
-				shape.verts = createConvexHull(shape.verts);
-				shape.finishVerts();
+				if (vec2.dist(p, brushStroke[brushStroke.length - 1]) < pixel2meter(BRUSH_SPACING) / camera.scale) {
+					return;
+				}
+
+				brushStroke.push(p);
+				if (brushStroke.length < 3) {
+					return;
+				}
 
-				var center = vec2.add(creatingBody.p, shape.centroid());
-				for (var i = 0; i < shape.verts.length; i++) {
-					shape.verts[i] = vec2.sub(creatingBody.getWorldPoint(shape.verts[i]), center);
+				// Keep the concave outline of the stroke unless it crosses itself
+				var verts = brushStroke.slice(0);
+				if (areaForPoly(verts) < 0) {
+					verts.reverse();
+				}
+
+				if (verts.length > 3 && !decomposePoly(verts)) {
+					verts = createConvexHull(verts);
+				}
+
+				var center = centroidForPoly(verts);
+				var shape = creatingBody.shapeArr[0];
+				shape.verts = [];
+				for (var i = 0; i < verts.length; i++) {
+					shape.verts[i] = vec2.sub(verts[i], center);
 				}
 
 				creatingBody.setTransform(center, 0);
@@ -1482,6 +1543,61 @@ App = function() {
 			}	
 		}
 
+		// Chain is created vertex by vertex with clicks.
+		// Enter finishes the chain, and clicking the first vertex closes the loop.
+		editModeEventArr[EM_CREATE_CHAIN] = {};
+		editModeEventArr[EM_CREATE_CHAIN].init = function() {
+			domCanvas.style.cursor = "crosshair";
+		}
+		editModeEventArr[EM_CREATE_CHAIN].shutdown = function() {
+			finishCreatingChain();
+		}
+		editModeEventArr[EM_CREATE_CHAIN].mouseDown = function(ev) {
+			var p = canvasToWorld(mousePosition);
+			if (snapEnabled) {
+				p = snapPointByGrid(p);
+			}
+
+			if (!creatingBody) {
+				creatingBody = new Body(Body.STATIC, p);
+				var shape = new ShapeChain([new vec2(0, 0)], false);
+				shape.e = DEFAULT_RESTITUTION;
+				shape.u = DEFAULT_FRICTION;
+				creatingBody.addShape(shape);
+				creatingBody.resetMassData();
+				space.addBody(creatingBody);
+				return;
+			}
+
+			var shape = creatingBody.shapeArr[0];
+			if (shape.verts.length >= 3 && vec2.dist(p, shape.tverts[0]) < SELECTABLE_POINT_DIST_THREHOLD) {
+				shape.loop = true;
+				shape.finishVerts();
+				creatingBody.cacheData();
+				finishCreatingChain();
+				return;
+			}
+
+			shape.verts.push(creatingBody.getLocalPoint(p));
+			shape.finishVerts();
+			creatingBody.cacheData();
+
+			updateSidebar();
+		}
+		editModeEventArr[EM_CREATE_CHAIN].mouseUp = function(ev) {}
+		editModeEventArr[EM_CREATE_CHAIN].mouseMove = function(ev) {}
+		editModeEventArr[EM_CREATE_CHAIN].keyDown = function(keyCode) {
+			if (keyCode == 13) { // Enter
+				finishCreatingChain();
+			}
+			else if (keyCode == 27) { // Escape
+				if (creatingBody) {
+					space.removeBody(creatingBody);
+					creatingBody = null;
+				}
+			}
+		}
+
 		editModeEventArr[EM_CREATE_ANGLE_JOINT] = {};
 		editModeEventArr[EM_CREATE_ANGLE_JOINT].init = function() {
 			domCanvas.style.cursor = "crosshair";
@@ -1512,6 +1628,37 @@ App = function() {
 			}
 		}
 
+		// Motor drives body2 to keep the current relative position & angle to body1
+		editModeEventArr[EM_CREATE_MOTOR_JOINT] = {};
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].init = function() {
+			domCanvas.style.cursor = "crosshair";
+
+			if (selectionMode == SM_BODIES && selectedFeatureArr.length == 2) {		
+				if (!creatingJoint) {
+					var body1 = selectedFeatureArr[0];
+					var body2 = selectedFeatureArr[1];
+
+					creatingJoint = new MotorJoint(body1, body2);
+					space.addJoint(creatingJoint);
+				}
+
+				creatingJoint = null;
+			}
+		}
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].shutdown = function() {
+		}
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].mouseDown = function(ev) {			
+		}
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].mouseUp = function(ev) {			
+		}
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].mouseMove = function(ev) {
+		}
+		editModeEventArr[EM_CREATE_MOTOR_JOINT].keyDown = function(keyCode) {
+			if (keyCode == 27) {
+				creatingJoint = null;
+			}
+		}
+
 		editModeEventArr[EM_CREATE_REVOLUTE_JOINT] = {};
 		editModeEventArr[EM_CREATE_REVOLUTE_JOINT].init = function() {
 			domCanvas.style.cursor = "crosshair";
@@ -1554,6 +1701,48 @@ App = function() {
 			}
 		}
 
+		editModeEventArr[EM_CREATE_FRICTION_JOINT] = {};
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].init = function() {
+			domCanvas.style.cursor = "crosshair";
+		};
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].shutdown = function() {
+		}
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].mouseDown = function(ev) {
+			if (selectionMode == SM_BODIES && selectedFeatureArr.length == 2) {
+				var p = canvasToWorld(mousePosition);
+				if (snapEnabled) {
+					p = snapPointByGrid(p);
+				}
+				
+				if (!creatingJoint) {
+					var body1 = selectedFeatureArr[0];
+					var body2 = selectedFeatureArr[1];
+
+					creatingJoint = new FrictionJoint(body1, body2, p, 10, 10);
+					space.addJoint(creatingJoint);
+				}
+			}
+		}
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].mouseUp = function(ev) {
+			creatingJoint = null;
+		}
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].mouseMove = function(ev) {
+			if (mouseDown && creatingJoint) {
+				var p = canvasToWorld(mousePosition);
+				
+				if (snapEnabled) {
+					p = snapPointByGrid(p);
+				}
+				
+				creatingJoint.setWorldAnchor1(p);
+			}
+		}		
+		editModeEventArr[EM_CREATE_FRICTION_JOINT].keyDown = function(keyCode) {
+			if (keyCode == 27) {
+				creatingJoint = null;
+			}
+		}
+
 		editModeEventArr[EM_CREATE_WELD_JOINT] = {};
 		editModeEventArr[EM_CREATE_WELD_JOINT].init = function() {
 			domCanvas.style.cursor = "crosshair";
@@ -1764,6 +1953,83 @@ App = function() {
 			}
 		}
 
+		// Pulley is created by dragging from the ground anchor1 to the ground anchor2.
+		// Rope is tied to the centers of the selected bodies.
+		editModeEventArr[EM_CREATE_PULLEY_JOINT] = {};
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].init = function() {
+			domCanvas.style.cursor = "crosshair";
+		}
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].shutdown = function() {
+		}
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].mouseDown = function(ev) {
+			if (selectionMode == SM_BODIES && selectedFeatureArr.length == 2) {
+				var p = canvasToWorld(mousePosition);
+				if (snapEnabled) {
+					p = snapPointByGrid(p);
+				}
+				
+				if (!creatingJoint) {
+					var body1 = selectedFeatureArr[0];
+					var body2 = selectedFeatureArr[1];
+
+					creatingJoint = new PulleyJoint(body1, body2, p, p, body1.p, body2.p, 1);
+					space.addJoint(creatingJoint);
+				}
+			}
+		}
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].mouseUp = function(ev) {
+			creatingJoint = null;
+		}
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].mouseMove = function(ev) {		
+			if (mouseDown && creatingJoint) {
+				var p = canvasToWorld(mousePosition);
+				
+				if (snapEnabled) {
+					p = snapPointByGrid(p);
+				}
+				
+				creatingJoint.setGroundAnchor2(p);
+			}
+		}
+		editModeEventArr[EM_CREATE_PULLEY_JOINT].keyDown = function(keyCode) {
+			if (keyCode == 27) {
+				creatingJoint = null;
+			}
+		}
+
+		// Gear couples the two selected revolute or prismatic joints
+		editModeEventArr[EM_CREATE_GEAR_JOINT] = {};
+		editModeEventArr[EM_CREATE_GEAR_JOINT].init = function() {
+			if (selectionMode == SM_JOINTS) {
+				var jointArr = [];
+				for (var i = 0; i < selectedFeatureArr.length; i++) {
+					var joint = space.jointById((selectedFeatureArr[i] >> 16) & 0xFFFF);
+					if (joint && jointArr.indexOf(joint) == -1) {
+						jointArr.push(joint);
+					}
+				}
+
+				if (jointArr.length == 2) {
+					var joint1 = jointArr[0];
+					var joint2 = jointArr[1];
+
+					if ((joint1.type == Joint.TYPE_REVOLUTE || joint1.type == Joint.TYPE_PRISMATIC) && 
+						(joint2.type == Joint.TYPE_REVOLUTE || joint2.type == Joint.TYPE_PRISMATIC) && 
+						joint1.body2 != joint2.body2) {
+						space.addJoint(new GearJoint(joint1, joint2, 1));
+					}
+				}
+			}
+
+			onClickedEditMode("select");
+		}
+		editModeEventArr[EM_CREATE_GEAR_JOINT].shutdown = function() {
+		}
+		editModeEventArr[EM_CREATE_GEAR_JOINT].mouseDown = function(ev) {}
+		editModeEventArr[EM_CREATE_GEAR_JOINT].mouseUp = function(ev) {}
+		editModeEventArr[EM_CREATE_GEAR_JOINT].mouseMove = function(ev) {}
+		editModeEventArr[EM_CREATE_GEAR_JOINT].keyDown = function(keyCode) {}
+
 		editModeEventArr[EM_COLLAPSE_BODIES] = {};
 		editModeEventArr[EM_COLLAPSE_BODIES].init = function() {
 			if (selectionMode == SM_BODIES && selectedFeatureArr.length >= 2) {
@@ -1840,7 +2106,7 @@ App = function() {
 						addedCount = 0;
 					}
 
-					if (shape.type == Shape.TYPE_POLY) {
+					if (shape.type == Shape.TYPE_POLY || shape.type == Shape.TYPE_CHAIN) {
 						var index1 = (edgeId & 0xFFFF) + addedCount;
 						var index2 = index1 + 1;
 
@@ -2013,7 +2279,7 @@ App = function() {
 				"create_circle", "create_segment", "create_triangle", "create_box", "create_hexagon", "create_brush",
 				"create_angle_joint", "create_revolute_joint", "create_weld_joint", 
 				"create_wheel_joint", "create_prismatic_joint", "create_distance_joint", "create_rope_joint",
-				"collapse_bodies", "edge_slice"][editMode];
+				"collapse_bodies", "edge_slice", "create_chain", "create_pulley_joint", "create_gear_joint", "create_motor_joint", "create_friction_joint"][editMode];
 
 			for (var i = 0; i < editModeButtons.length; i++) {
 				var e = editModeButtons[i];
@@ -2088,16 +2354,10 @@ App = function() {
 					domShapeInspector.style.display = "block";
 
 					var el = domShapeInspector.querySelector("#shape_type");
-					el.value = ["Circle", "Segment", "Poly"][shape.type];
+					el.value = ["Circle", "Segment", "Poly", "Chain"][shape.type];
 
 					var el = domShapeInspector.querySelector("#shape_radius");
-					if (shape.type == Shape.TYPE_CIRCLE || shape.type == Shape.TYPE_SEGMENT) {
-						el.parentNode.style.display = "block";
-						el.value = shape.r;
-					}
-					else {
-						el.parentNode.style.display = "none";
-					}
+					el.value = shape.r;
 
 					var el = domShapeInspector.querySelector("#shape_density");
 					el.value = shape.density;
@@ -2107,6 +2367,18 @@ App = function() {
 
 					var el = domShapeInspector.querySelector("#shape_friction");
 					el.value = shape.u.toFixed(2);					
+
+					var el = domShapeInspector.querySelector("#shape_sensor");
+					el.checked = shape.isSensor;
+
+					var el = domShapeInspector.querySelector("#shape_category_bits");
+					el.value = "0x" + shape.categoryBits.toString(16).toUpperCase();
+
+					var el = domShapeInspector.querySelector("#shape_mask_bits");
+					el.value = "0x" + shape.maskBits.toString(16).toUpperCase();
+
+					var el = domShapeInspector.querySelector("#shape_group_index");
+					el.value = shape.groupIndex;
 				}
 			}
 			else if (selectionMode == SM_BODIES) {			
@@ -2162,6 +2434,9 @@ App = function() {
 
 					var el = domBodyInspector.querySelector("#body_mask_bits");
 					el.value = "0x" + body.maskBits.toString(16).toUpperCase();
+
+					var el = domBodyInspector.querySelector("#body_group_index");
+					el.value = body.groupIndex;
 				}
 			}
 			else if (selectionMode == SM_JOINTS) {
@@ -2173,7 +2448,7 @@ App = function() {
 					domJointInspector.style.display = "block";
 
 					var el = domJointInspector.querySelector("#joint_type");
-					el.value = ["Angle", "Revolute", "Weld", "Wheel", "Prismatic", "Distance", "Rope", "Mouse"][joint.type];
+					el.value = ["Angle", "Revolute", "Weld", "Wheel", "Prismatic", "Distance", "Rope", "Mouse", "MaxDistance", "Spring", "Pulley", "Gear", "Motor", "Friction"][joint.type];
 
 					var el = domJointInspector.querySelector("#joint_body1");
 					el.value = new String(joint.body1.name);
@@ -2200,33 +2475,27 @@ App = function() {
 						el.value = anchor.y.toFixed(4);
 					}
 
-					if (joint.type == Joint.TYPE_REVOLUTE) {
+					if (joint.type == Joint.TYPE_REVOLUTE || joint.type == Joint.TYPE_PRISMATIC) {
 						var el = domJointInspector.querySelector("#joint_enable_limit");
 						el.parentNode.style.display = "block";
 						el.checked = joint.limitEnabled;
-
-						if (joint.limitEnabled) {
-							var el = domJointInspector.querySelector("#joint_limit_lower_angle");
-							el.parentNode.style.display = "block";
-							el.value = rad2deg(joint.limitLowerAngle).toFixed(1);
-
-							var el = domJointInspector.querySelector("#joint_limit_upper_angle");
-							el.parentNode.style.display = "block";
-							el.value = rad2deg(joint.limitUpperAngle).toFixed(1);
-						}
-						else {
-							var el = domJointInspector.querySelector("#joint_limit_lower_angle");
-							el.parentNode.style.display = "none";
-
-							var el = domJointInspector.querySelector("#joint_limit_upper_angle");
-							el.parentNode.style.display = "none";
-						}
 					}
 					else {
 						var el = domJointInspector.querySelector("#joint_enable_limit");
 						el.parentNode.style.display = "none";
 						el.checked = false;
+					}
 
+					if (joint.type == Joint.TYPE_REVOLUTE && joint.limitEnabled) {
+						var el = domJointInspector.querySelector("#joint_limit_lower_angle");
+						el.parentNode.style.display = "block";
+						el.value = rad2deg(joint.limitLowerAngle).toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_limit_upper_angle");
+						el.parentNode.style.display = "block";
+						el.value = rad2deg(joint.limitUpperAngle).toFixed(1);
+					}
+					else {
 						var el = domJointInspector.querySelector("#joint_limit_lower_angle");
 						el.parentNode.style.display = "none";
 
@@ -2234,32 +2503,43 @@ App = function() {
 						el.parentNode.style.display = "none";
 					}
 
-					if (joint.type == Joint.TYPE_REVOLUTE || joint.type == Joint.TYPE_WHEEL) {
-						var el = domJointInspector.querySelector("#joint_enable_motor");
+					if (joint.type == Joint.TYPE_PRISMATIC && joint.limitEnabled) {
+						var el = domJointInspector.querySelector("#joint_limit_lower_translation");
 						el.parentNode.style.display = "block";
-						el.checked = joint.motorEnabled;
+						el.value = joint.limitLowerTranslation.toFixed(2);
 
-						if (joint.motorEnabled) {
-							var el = domJointInspector.querySelector("#joint_motor_speed");
-							el.parentNode.style.display = "block";
-							el.value = rad2deg(joint.motorSpeed).toFixed(1);
+						var el = domJointInspector.querySelector("#joint_limit_upper_translation");
+						el.parentNode.style.display = "block";
+						el.value = joint.limitUpperTranslation.toFixed(2);
+					}
+					else {
+						var el = domJointInspector.querySelector("#joint_limit_lower_translation");
+						el.parentNode.style.display = "none";
 
-							var el = domJointInspector.querySelector("#joint_max_motor_torque");
-							el.parentNode.style.display = "block";
-							el.value = joint.maxMotorTorque.toFixed(1);
-						}
-						else {
-							var el = domJointInspector.querySelector("#joint_motor_speed");
-							el.parentNode.style.display = "none";
+						var el = domJointInspector.querySelector("#joint_limit_upper_translation");
+						el.parentNode.style.display = "none";
+					}
 
-							var el = domJointInspector.querySelector("#joint_max_motor_torque");
-							el.parentNode.style.display = "none";
-						}
+					if (joint.type == Joint.TYPE_REVOLUTE || joint.type == Joint.TYPE_WHEEL || joint.type == Joint.TYPE_PRISMATIC) {
+						var el = domJointInspector.querySelector("#joint_enable_motor");
+						el.parentNode.style.display = "block";
+						el.checked = joint.motorEnabled;
 					}
 					else {
 						var el = domJointInspector.querySelector("#joint_enable_motor");
 						el.parentNode.style.display = "none";
+					}
 
+					if ((joint.type == Joint.TYPE_REVOLUTE || joint.type == Joint.TYPE_WHEEL) && joint.motorEnabled) {
+						var el = domJointInspector.querySelector("#joint_motor_speed");
+						el.parentNode.style.display = "block";
+						el.value = rad2deg(joint.motorSpeed).toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_max_motor_torque");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxMotorTorque.toFixed(1);
+					}
+					else {
 						var el = domJointInspector.querySelector("#joint_motor_speed");
 						el.parentNode.style.display = "none";
 
@@ -2267,6 +2547,23 @@ App = function() {
 						el.parentNode.style.display = "none";
 					}
 
+					if (joint.type == Joint.TYPE_PRISMATIC && joint.motorEnabled) {
+						var el = domJointInspector.querySelector("#joint_motor_linear_speed");
+						el.parentNode.style.display = "block";
+						el.value = joint.motorSpeed.toFixed(2);
+
+						var el = domJointInspector.querySelector("#joint_max_motor_force");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxMotorForce.toFixed(1);
+					}
+					else {
+						var el = domJointInspector.querySelector("#joint_motor_linear_speed");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_max_motor_force");
+						el.parentNode.style.display = "none";
+					}
+
 					if (joint.type == Joint.TYPE_DISTANCE || joint.type == Joint.TYPE_WELD || joint.type == Joint.TYPE_WHEEL) {
 						var el = domJointInspector.querySelector("#joint_spring_frequency_hz");
 						el.parentNode.style.display = "block";
@@ -2284,6 +2581,75 @@ App = function() {
 						el.parentNode.style.display = "none";
 					}
 					
+					if (joint.type == Joint.TYPE_MOTOR) {
+						var el = domJointInspector.querySelector("#joint_linear_offset_x");
+						el.parentNode.style.display = "block";
+						el.value = joint.linearOffset.x.toFixed(2);
+
+						var el = domJointInspector.querySelector("#joint_linear_offset_y");
+						el.parentNode.style.display = "block";
+						el.value = joint.linearOffset.y.toFixed(2);
+
+						var el = domJointInspector.querySelector("#joint_angular_offset");
+						el.parentNode.style.display = "block";
+						el.value = rad2deg(joint.angularOffset).toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_max_motor_force");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxMotorForce.toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_max_torque");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxTorque.toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_correction_factor");
+						el.parentNode.style.display = "block";
+						el.value = joint.correctionFactor.toFixed(2);
+					}
+					else {
+						var el = domJointInspector.querySelector("#joint_linear_offset_x");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_linear_offset_y");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_angular_offset");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_max_torque");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_correction_factor");
+						el.parentNode.style.display = "none";
+					}
+
+					if (joint.type == Joint.TYPE_FRICTION) {
+						var el = domJointInspector.querySelector("#joint_max_friction_force");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxFrictionForce.toFixed(1);
+
+						var el = domJointInspector.querySelector("#joint_max_friction_torque");
+						el.parentNode.style.display = "block";
+						el.value = joint.maxFrictionTorque.toFixed(1);
+					}
+					else {
+						var el = domJointInspector.querySelector("#joint_max_friction_force");
+						el.parentNode.style.display = "none";
+
+						var el = domJointInspector.querySelector("#joint_max_friction_torque");
+						el.parentNode.style.display = "none";
+					}
+
+					if (joint.type == Joint.TYPE_PULLEY || joint.type == Joint.TYPE_GEAR) {
+						var el = domJointInspector.querySelector("#joint_ratio");
+						el.parentNode.style.display = "block";
+						el.value = joint.ratio.toFixed(2);
+					}
+					else {
+						var el = domJointInspector.querySelector("#joint_ratio");
+						el.parentNode.style.display = "none";
+					}
+
 					var el = domJointInspector.querySelector("#joint_max_force");
 					el.value = joint.maxForce.toFixed(1);
 
@@ -2698,8 +3064,12 @@ App = function() {
 			renderer.drawSegment(ctx, shape.ta, shape.tb, shape.r, lineWidth, outlineColor, fillColor);
 			break;
 		case Shape.TYPE_POLY:
-			if (shape.convexity) renderer.drawPolygon(ctx, shape.tverts, lineWidth, outlineColor, fillColor);
-			else renderer.drawPolygon(ctx, shape.tverts, lineWidth * 2, "#F00", fillColor);
+			if (!shape.validOutline) renderer.drawPolygon(ctx, shape.tverts, lineWidth * 2, "#F00", fillColor);
+			else if (shape.r > 0) renderer.drawRoundedPolygon(ctx, shape.tverts, shape.r, lineWidth, outlineColor, fillColor);
+			else renderer.drawPolygon(ctx, shape.tverts, lineWidth, outlineColor, fillColor);
+			break;
+		case Shape.TYPE_CHAIN:
+			drawChain(ctx, shape, function(v) { return v; }, lineWidth, lineWidth * 6, outlineColor || fillColor);
 			break;
 		}
 	}
@@ -2722,13 +3092,30 @@ App = function() {
 			for (var i = 0; i < ctverts.length; i++) {
 				ctverts[i] = worldToCanvas(shape.tverts[i]);
 			}
-			renderer.drawPolygon(ctx, ctverts, lineWidth, outlineColor, fillColor);
+			if (shape.r > 0) renderer.drawRoundedPolygon(ctx, ctverts, shape.r * camera.scale * meter2pixel(1), lineWidth, outlineColor, fillColor);
+			else renderer.drawPolygon(ctx, ctverts, lineWidth, outlineColor, fillColor);
+			break;
+		case Shape.TYPE_CHAIN:
+			drawChain(ctx, shape, worldToCanvas, lineWidth * 2, pixel2meter(6) / camera.scale, outlineColor || fillColor);
 			break;
 		}		
 
 		ctx.restore();
 	}
 
+	// Chain has no inside to fill, so draw the edges with ticks on the colliding side
+	function drawChain(ctx, shape, toCanvas, lineWidth, tickLength, color) {
+		for (var i = 0; i < shape.edgeArr.length; i++) {
+			var edge = shape.edgeArr[i];
+			var v1 = edge.tverts[0];
+			var v2 = edge.tverts[1];
+			var mid = vec2.lerp(v1, v2, 0.5);
+
+			renderer.drawLine(ctx, toCanvas(v1), toCanvas(v2), lineWidth, color);
+			renderer.drawLine(ctx, toCanvas(mid), toCanvas(vec2.mad(mid, edge.tplanes[0].n, tickLength)), lineWidth, color);
+		}
+	}
+
 	function computeScaledGridSize(gridSize) {
 		return gridSize / Math.pow(2, Math.floor(Math.log2(camera.scale)));
 	}
@@ -2820,6 +3207,7 @@ App = function() {
 							dirtyBounds.addExtents(shape.ta, HELPER_VERTEX_EXTENT, HELPER_VERTEX_EXTENT);
 							break;
 						case Shape.TYPE_POLY:
+						case Shape.TYPE_CHAIN:
 							for (var k = 0; k < shape.tverts.length; k++) {
 								drawHelperVertex(ctx, shape.tverts[k], vertexColor);
 							}
@@ -3017,6 +3405,7 @@ App = function() {
 			p = index == 0 ? shape.ta : shape.tb;
 			break; 
 		case Shape.TYPE_POLY:
+		case Shape.TYPE_CHAIN:
 			p = shape.tverts[index];
 			break;
 		}
@@ -3208,11 +3597,48 @@ App = function() {
 			bounds.addExtents(p1, HELPER_PRISMATIC_JOINT_ARROW_SIZE, HELPER_PRISMATIC_JOINT_ARROW_SIZE);
 			bounds.addExtents(p2, HELPER_PRISMATIC_JOINT_ARROW_SIZE, HELPER_PRISMATIC_JOINT_ARROW_SIZE);
 		}		
-		else if (joint.type == Joint.TYPE_DISTANCE || joint.type == Joint.TYPE_ROPE) {
+		else if (joint.type == Joint.TYPE_DISTANCE || joint.type == Joint.TYPE_ROPE || joint.type == Joint.TYPE_MAX_DISTANCE || joint.type == Joint.TYPE_SPRING) {
 			renderer.drawLine(ctx, p1, p2, PIXEL_UNIT, jointHelperColor);
 		}
 		else if (joint.type == Joint.TYPE_MOUSE) {
 			renderer.drawLine(ctx, p1, p2, PIXEL_UNIT, "#00F");
+		}
+		else if (joint.type == Joint.TYPE_FRICTION) {
+			var rvec = vec2.rotate(new vec2(HELPER_FRICTION_JOINT_EXTENT, 0), body2.a);
+			var uvec = vec2.rotate(new vec2(0, HELPER_FRICTION_JOINT_EXTENT), body2.a);
+
+			renderer.drawBox(ctx, p2, rvec, uvec, PIXEL_UNIT, jointHelperColor);
+
+			bounds.addExtents(p2, HELPER_FRICTION_JOINT_EXTENT, HELPER_FRICTION_JOINT_EXTENT);
+		}
+		else if (joint.type == Joint.TYPE_MOTOR) {
+			var target = joint.getWorldTarget();
+
+			renderer.drawDashLine(ctx, p1, target, PIXEL_UNIT, pixel2meter(5), jointHelperColor);
+			renderer.drawLine(ctx, target, p2, PIXEL_UNIT, jointHelperColor);
+			renderer.drawCircle(ctx, target, HELPER_JOINT_ANCHOR_RADIUS, undefined, PIXEL_UNIT, jointHelperColor);
+
+			bounds.addPoint(p1);
+			bounds.addPoint(p2);
+			bounds.addExtents(target, HELPER_JOINT_ANCHOR_RADIUS, HELPER_JOINT_ANCHOR_RADIUS);
+		}
+		else if (joint.type == Joint.TYPE_GEAR) {
+			renderer.drawDashLine(ctx, p1, p2, PIXEL_UNIT, pixel2meter(5), jointHelperColor);
+		}
+		else if (joint.type == Joint.TYPE_PULLEY) {
+			var g1 = joint.groundAnchor1;
+			var g2 = joint.groundAnchor2;
+
+			renderer.drawLine(ctx, g1, p1, PIXEL_UNIT, jointHelperColor);
+			renderer.drawLine(ctx, g2, p2, PIXEL_UNIT, jointHelperColor);
+			renderer.drawLine(ctx, g1, g2, PIXEL_UNIT, jointHelperColor);
+			renderer.drawCircle(ctx, g1, HELPER_PULLEY_JOINT_RADIUS, undefined, PIXEL_UNIT, jointHelperColor);
+			renderer.drawCircle(ctx, g2, HELPER_PULLEY_JOINT_RADIUS, undefined, PIXEL_UNIT, jointHelperColor);
+
+			bounds.addPoint(p1);
+			bounds.addPoint(p2);
+			bounds.addExtents(g1, HELPER_PULLEY_JOINT_RADIUS, HELPER_PULLEY_JOINT_RADIUS);
+			bounds.addExtents(g2, HELPER_PULLEY_JOINT_RADIUS, HELPER_PULLEY_JOINT_RADIUS);
 		}		
 		
 		if (!body1.isStatic() || !body2.isStatic()) {
@@ -3247,10 +3673,11 @@ App = function() {
 			return space.findEdgeByPoint(p, SELECTABLE_LINE_DIST_THREHOLD, selectedFeatureArr[0]);
 		}
 		else if (selectionMode == SM_SHAPES) {
-			return space.findShapeByPoint(p, selectedFeatureArr[0]);
+			return space.findShapeByPoint(p, selectedFeatureArr[0]) || findChainByPoint(p);
 		}
 		else if (selectionMode == SM_BODIES) {
-			return space.findBodyByPoint(p, selectedFeatureArr[0]);
+			var chain = findChainByPoint(p);
+			return space.findBodyByPoint(p, selectedFeatureArr[0]) || (chain && chain.body);
 		}
 		else if (selectionMode == SM_JOINTS) {
 			return space.findJointByPoint(p, SELECTABLE_POINT_DIST_THREHOLD, selectedFeatureArr[0])
@@ -3260,6 +3687,17 @@ App = function() {
 		return null;
 	}
 
+	// Chain has no area to contain the point, so it is picked by its edges
+	function findChainByPoint(p) {
+		var edgeId = space.findEdgeByPoint(p, SELECTABLE_LINE_DIST_THREHOLD);
+		if (edgeId == -1) {
+			return null;
+		}
+
+		var shape = space.shapeById((edgeId >> 16) & 0xFFFF);
+		return shape.type == Shape.TYPE_CHAIN ? shape : null;
+	}
+
 	function doSelect(p, flags) {
 		var feature = getFeatureByPoint(p);
 		if (!isValidFeature(feature)) {			
@@ -3384,7 +3822,7 @@ App = function() {
 			return shape.tb;
 		}
 		
-		if (shape.type == Shape.TYPE_POLY && index >= 0) {
+		if ((shape.type == Shape.TYPE_POLY || shape.type == Shape.TYPE_CHAIN) && index >= 0) {
 			index = index % shape.tverts.length;
 			if (index < 0) {
 				index += shape.tverts.length;
@@ -3412,7 +3850,7 @@ App = function() {
 			return;
 		}
 		
-		if (shape.type == Shape.TYPE_POLY && index >= 0) {
+		if ((shape.type == Shape.TYPE_POLY || shape.type == Shape.TYPE_CHAIN) && index >= 0) {
 			index = index % shape.tverts.length;
 			if (index < 0) {
 				index += shape.tverts.length;
@@ -3424,6 +3862,18 @@ App = function() {
 		console.log("invalid vertex index: " + index);
 	}
 
+	function finishCreatingChain() {
+		if (!creatingBody) {
+			return;
+		}
+
+		if (creatingBody.shapeArr[0].verts.length < 2) {
+			space.removeBody(creatingBody);
+		}
+
+		creatingBody = null;
+	}
+
 	function deleteShape(shape) {
 		var body = shape.body;
 
@@ -3548,6 +3998,7 @@ App = function() {
 				if (mouseJoint) {
 					mouseBody.p.copy(canvasToWorld(mousePosition));
 					mouseBody.syncTransform();
+					mouseBody.awake(true);
 				}
 				else {
 					var dx = mousePosition.x - mousePositionOld.x;
@@ -3980,6 +4431,34 @@ App = function() {
 		}	
 	}
 
+	function onClickedShapeSensor() {
+		if (selectedFeatureArr.length == 1) {
+			var shape = selectedFeatureArr[0];
+			shape.isSensor = !shape.isSensor;
+		}
+	}
+
+	function onChangedShapeCategoryBits(value) {
+		if (selectedFeatureArr.length == 1) {
+			var shape = selectedFeatureArr[0];
+			shape.categoryBits = parseInt(value, 16);
+		}
+	}
+
+	function onChangedShapeMaskBits(value) {
+		if (selectedFeatureArr.length == 1) {
+			var shape = selectedFeatureArr[0];
+			shape.maskBits = parseInt(value, 16);
+		}
+	}
+
+	function onChangedShapeGroupIndex(value) {
+		if (selectedFeatureArr.length == 1) {
+			var shape = selectedFeatureArr[0];
+			shape.groupIndex = parseInt(value) || 0;
+		}
+	}
+
 	function onChangedBodyType(value) {
 		if (selectedFeatureArr.length == 1) {
 			var body = selectedFeatureArr[0];
@@ -4064,6 +4543,13 @@ App = function() {
 		}
 	}
 
+	function onChangedBodyGroupIndex(value) {
+		if (selectedFeatureArr.length == 1) {
+			var body = selectedFeatureArr[0];
+			body.groupIndex = parseInt(value) || 0;
+		}
+	}
+
 	function onChangedJointBody(anchorIndex, value) {
 		if (selectedFeatureArr.length == 1) {		
 			var joint = selectedFeatureArr[0];	
@@ -4159,6 +4645,22 @@ App = function() {
 		}
 	}
 
+	function onChangedJointLimitLowerTranslation(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.limitLowerTranslation = parseFloat(value);
+		}
+	}
+
+	function onChangedJointLimitUpperTranslation(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.limitUpperTranslation = parseFloat(value);
+		}
+	}
+
 	function onClickedJointEnableMotor() {
 		if (selectedFeatureArr.length == 1) {
 			var jointId = selectedFeatureArr[0];
@@ -4185,6 +4687,88 @@ App = function() {
 		}
 	}
 
+	function onChangedJointMotorLinearSpeed(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.motorSpeed = parseFloat(value);
+		}
+	}
+
+	function onChangedJointMaxMotorForce(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.maxMotorForce = parseFloat(value);
+		}
+	}
+
+	function onChangedJointLinearOffset(value, index) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			var offset = joint.linearOffset.duplicate();
+			if (index == 0) {
+				offset.x = parseFloat(value);
+			}
+			else {
+				offset.y = parseFloat(value);
+			}
+			joint.setLinearOffset(offset);
+		}
+	}
+
+	function onChangedJointAngularOffset(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.setAngularOffset(deg2rad(parseFloat(value)));
+		}
+	}
+
+	function onChangedJointMaxTorque(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.setMaxTorque(parseFloat(value));
+		}
+	}
+
+	function onChangedJointCorrectionFactor(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.setCorrectionFactor(parseFloat(value));
+		}
+	}
+
+	function onChangedJointMaxFrictionForce(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.setMaxFrictionForce(parseFloat(value));
+		}
+	}
+
+	function onChangedJointMaxFrictionTorque(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			joint.setMaxFrictionTorque(parseFloat(value));
+		}
+	}
+
+	function onChangedJointRatio(value) {
+		if (selectedFeatureArr.length == 1) {			
+			var jointId = selectedFeatureArr[0];
+			var joint = space.jointById((jointId >> 16) & 0xFFFF);
+			var ratio = parseFloat(value);
+			if (ratio > 0 || (joint.type == Joint.TYPE_GEAR && ratio != 0)) {
+				joint.setRatio(ratio);
+			}
+		}
+	}
+
 	function onChangedJointSpringFrequencyHz(value) {
 		if (selectedFeatureArr.length == 1) {			
 			var jointId = selectedFeatureArr[0];
@@ -4253,7 +4837,9 @@ App = function() {
 			create_angle_joint: EM_CREATE_ANGLE_JOINT, create_revolute_joint: EM_CREATE_REVOLUTE_JOINT, create_weld_joint: EM_CREATE_WELD_JOINT, 
 			create_wheel_joint: EM_CREATE_WHEEL_JOINT, create_prismatic_joint: EM_CREATE_PRISMATIC_JOINT, create_distance_joint: EM_CREATE_DISTANCE_JOINT, create_rope_joint: EM_CREATE_ROPE_JOINT,
 			select: EM_SELECT, move: EM_MOVE, rotate: EM_ROTATE, scale: EM_SCALE,
-			collapse_bodies: EM_COLLAPSE_BODIES, edge_slice: EM_EDGE_SLICE }[value];
+			collapse_bodies: EM_COLLAPSE_BODIES, edge_slice: EM_EDGE_SLICE, create_chain: EM_CREATE_CHAIN,
+			create_pulley_joint: EM_CREATE_PULLEY_JOINT, create_gear_joint: EM_CREATE_GEAR_JOINT,
+			create_motor_joint: EM_CREATE_MOTOR_JOINT, create_friction_joint: EM_CREATE_FRICTION_JOINT }[value];
 
 		editModeEventArr[editMode].init();
 
@@ -4264,6 +4850,43 @@ App = function() {
 		return false;
 	}	
 
+	function onClickedImportSVG() {
+		var domFile = domSidebar.querySelector("#import_svg_file");
+		domFile.value = "";
+		domFile.click();
+
+		return false;
+	}
+
+	// Add the static bodies of SVG file to the scene and select them
+	function onChangedImportSVGFile(files) {
+		if (!files || files.length == 0) {
+			return;
+		}
+
+		var reader = new FileReader();
+		reader.onload = function() {
+			var warnings = [];
+			var bodyArr = svgScene.createBodies(reader.result, { tolerance: 0.5 }, warnings);
+
+			for (var i = 0; i < bodyArr.length; i++) {
+				space.addBody(bodyArr[i]);
+			}
+
+			if (warnings.length > 0) {
+				alert("SVG import warnings:\n\n" + warnings.join("\n"));
+			}
+
+			if (editorEnabled) {
+				onClickedSelectionMode("bodies");
+				selectedFeatureArr = bodyArr;
+				updateSidebar();
+			}
+		}
+
+		reader.readAsText(files[0]);
+	}
+
 	function onDelete() {
 		if (selectionMode == SM_VERTICES) {
 			// Sort by decremental order
@@ -4274,6 +4897,11 @@ App = function() {
 				var shape = space.shapeById((vertexId >> 16) & 0xFFFF);
 				var index = vertexId & 0xFFFF;
 
+				// Already deleted with the previous vertices
+				if (!shape) {
+					continue;
+				}
+
 				if (shape.type == Shape.TYPE_POLY) {
 					shape.verts.splice(index, 1);
 
@@ -4286,6 +4914,19 @@ App = function() {
 						delete shape;
 					}
 				}
+				else if (shape.type == Shape.TYPE_CHAIN) {
+					shape.verts.splice(index, 1);
+
+					// Chain needs at least one edge
+					if (shape.verts.length < 2) {
+						deleteShape(shape);
+						delete shape;
+						continue;
+					}
+
+					shape.finishVerts();
+					shape.body.cacheData();
+				}
 			}
 		}
 		else if (selectionMode == SM_EDGES) {
@@ -4295,6 +4936,9 @@ App = function() {
 			for (var i = 0; i < selectedFeatureArr.length; i++) {
 				var edgeId = selectedFeatureArr[i];
 				var shape = space.shapeById((edgeId >> 16) & 0xFFFF);				
+				if (!shape) {
+					continue;
+				}
 
 				if (shape.type == Shape.TYPE_POLY) {
 					var index = edgeId & 0xFFFF;
@@ -4305,8 +4949,18 @@ App = function() {
 					shape.body.resetMassData();
 					shape.body.cacheData();	
 				}
+				else if (shape.type == Shape.TYPE_CHAIN) {
+					var index = edgeId & 0xFFFF;
+
+					shape.verts.splice(index, 1);
+
+					if (shape.verts.length >= 2) {
+						shape.finishVerts();
+						shape.body.cacheData();
+					}
+				}
 				
-				if (shape.verts.length == 0) {
+				if (shape.verts.length == 0 || (shape.type == Shape.TYPE_CHAIN && shape.verts.length < 2)) {
 					deleteShape(shape);
 					delete shape;
 				}
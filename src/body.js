@@ -27,7 +27,7 @@ Body = function(type, pos, angle) {
 	// Identifier
 	this.name = "body" + this.id;
 
-	// STATIC or DYNAMIC
+	// STATIC, KINETIC or DYNAMIC
 	this.type = type;
 
 	// Default values
@@ -82,8 +82,14 @@ Body = function(type, pos, angle) {
 
 	this.fixedRotation = false;
 
+	// Fast moving body which needs continuous collision detection
+	this.bullet = false;
+
+	// Collision filter. Bodies in the same positive group always collide
+	// and never in the same negative group regardless of the bits.
 	this.categoryBits = 0x0001;
 	this.maskBits = 0xFFFF;
+	this.groupIndex = 0;
 
 	this.stepCount = 0;
 }
@@ -110,10 +116,21 @@ Body.prototype.serialize = function() {
 	}
 
 	return {
+		"id": this.id,
 		"type": ["static", "kinetic", "dynamic"][this.type],
 		"name": this.name,
 		"position": this.xf.t,
-		"angle": this.xf.a,
+		"angle": this.a,
+		"velocity": this.v,
+		"angularVelocity": this.w,
+		"linearDamping": this.linearDamping,
+		"angularDamping": this.angularDamping,
+		"fixedRotation": this.fixedRotation,
+		"bullet": this.bullet,
+		"categoryBits": this.categoryBits,
+		"maskBits": this.maskBits,
+		"groupIndex": this.groupIndex,
+		"awake": this.isAwake(),
 		"shapes": shapes
 	};
 }
@@ -153,6 +170,12 @@ Body.prototype.removeShape = function(shape) {
 	var index = this.shapeArr.indexOf(shape);
 	if (index != -1) {
 		this.shapeArr.splice(index, 1);
+
+		if (this.space && shape.proxyId != -1) {
+			this.space.broadPhase.destroyProxy(shape.proxyId);
+			shape.proxyId = -1;
+		}
+
 		shape.body = undefined;
 	}
 }
@@ -267,6 +290,16 @@ Body.prototype.cacheData = function() {
 		var shape = this.shapeArr[i];
 		shape.cacheData(this.xf);
 		this.bounds.addBounds(shape.bounds);
+
+		// Update fat AABB in the broad phase
+		if (this.space) {
+			if (shape.proxyId == -1) {
+				shape.proxyId = this.space.broadPhase.createProxy(shape.bounds, shape);
+			}
+			else {
+				this.space.broadPhase.moveProxy(shape.proxyId, shape.bounds);
+			}
+		}
 	}
 }
 
@@ -293,6 +326,24 @@ Body.prototype.updatePosition = function(dt) {
 	this.a += this.w * dt;
 }
 
+// Set the velocity to reach the target position and angle after dt.
+// Used to drive kinetic bodies like scripted moving platforms,
+// so that the dynamic bodies touching it are pushed and carried by the contact friction.
+Body.prototype.moveTo = function(pos, angle, dt) {
+	if (this.isStatic())
+		return;
+
+	if (!this.isAwake())
+		this.awake(true);
+
+	var xf = new Transform(pos, angle);
+	var p = xf.transform(this.centroid);
+	var dt_inv = 1 / dt;
+
+	this.v.set((p.x - this.p.x) * dt_inv, (p.y - this.p.y) * dt_inv);
+	this.w = (angle - this.a) * dt_inv;
+}
+
 Body.prototype.resetForce = function() {
 	this.f.set(0, 0);
 	this.t = 0;
@@ -380,7 +431,11 @@ Body.prototype.isCollidable = function(other) {
 	if (!this.isDynamic() && !other.isDynamic())
 		return false;
 
-	if (!(this.maskBits & other.categoryBits) || !(other.maskBits & this.categoryBits))
+	if (this.groupIndex != 0 && this.groupIndex == other.groupIndex) {
+		if (this.groupIndex < 0)
+			return false;
+	}
+	else if (!(this.maskBits & other.categoryBits) || !(other.maskBits & this.categoryBits))
 		return false;
 
 	for (var i = 0; i < this.jointArr.length; i++) {
@@ -0,0 +1,429 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software
+* and associated documentation files (the "Software"), to deal in the Software without
+* restriction, including without limitation the rights to use, copy, modify, merge, publish,
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//-------------------------------------------------------------------------------------------------
+// Broad phase
+//
+// Space talks to the broad phase only through these functions, so any object which implements
+// them can be plugged in with new Space(broadPhase):
+//
+// createProxy(bounds, userData) : returns proxy id
+// destroyProxy(proxyId)
+// moveProxy(proxyId, bounds)    : returns true if the proxy has been re-inserted
+// getFatBounds(proxyId)
+// getUserData(proxyId)
+// query(bounds, callback)       : callback(userData) for each overlapping proxy,
+//                                 return false from callback to stop the query
+// rayCast(p1, p2, callback)     : callback(userData) for each proxy crossing the ray,
+//                                 return a fraction from callback to clip the ray
+//                                 or 0 to stop the ray cast
+//
+// DynamicTree is the default broad phase. It is a bounding volume hierarchy which keeps fat
+// AABBs in the leaves, so a proxy isn't re-inserted as long as the fat AABB contains the
+// tight AABB of the shape. Insertion uses the surface area heuristic (perimeter in 2D) and
+// the tree is balanced by rotations like AVL tree.
+//-------------------------------------------------------------------------------------------------
+
+DynamicTree = function() {
+	this.root = -1;
+
+	this.nodeArr = [];
+	this.freeNodeArr = [];
+}
+
+// Extension of fat AABB in meter
+DynamicTree.AABB_EXTENSION = 0.1;
+
+DynamicTree.prototype.allocateNode = function() {
+	var node = {
+		bounds: new Bounds,
+		parent: -1,
+		child1: -1,
+		child2: -1,
+		height: 0,
+		userData: null
+	};
+
+	if (this.freeNodeArr.length > 0) {
+		var index = this.freeNodeArr.pop();
+		this.nodeArr[index] = node;
+		return index;
+	}
+
+	return this.nodeArr.push(node) - 1;
+}
+
+DynamicTree.prototype.freeNode = function(index) {
+	this.nodeArr[index] = null;
+	this.freeNodeArr.push(index);
+}
+
+DynamicTree.prototype.isLeaf = function(index) {
+	return this.nodeArr[index].child1 == -1;
+}
+
+DynamicTree.prototype.createProxy = function(bounds, userData) {
+	var proxyId = this.allocateNode();
+	var node = this.nodeArr[proxyId];
+
+	node.bounds.copy(bounds);
+	node.bounds.expand(DynamicTree.AABB_EXTENSION, DynamicTree.AABB_EXTENSION);
+	node.userData = userData;
+
+	this.insertLeaf(proxyId);
+
+	return proxyId;
+}
+
+DynamicTree.prototype.destroyProxy = function(proxyId) {
+	this.removeLeaf(proxyId);
+	this.freeNode(proxyId);
+}
+
+DynamicTree.prototype.moveProxy = function(proxyId, bounds) {
+	var node = this.nodeArr[proxyId];
+	if (node.bounds.containBounds(bounds)) {
+		return false;
+	}
+
+	this.removeLeaf(proxyId);
+
+	node.bounds.copy(bounds);
+	node.bounds.expand(DynamicTree.AABB_EXTENSION, DynamicTree.AABB_EXTENSION);
+
+	this.insertLeaf(proxyId);
+
+	return true;
+}
+
+DynamicTree.prototype.getFatBounds = function(proxyId) {
+	return this.nodeArr[proxyId].bounds;
+}
+
+DynamicTree.prototype.getUserData = function(proxyId) {
+	return this.nodeArr[proxyId].userData;
+}
+
+DynamicTree.prototype.getHeight = function() {
+	return this.root == -1 ? 0 : this.nodeArr[this.root].height;
+}
+
+DynamicTree.prototype.query = function(bounds, callback) {
+	if (this.root == -1) {
+		return;
+	}
+
+	var stack = [this.root];
+
+	while (stack.length > 0) {
+		var node = this.nodeArr[stack.pop()];
+
+		if (!node.bounds.intersectsBounds(bounds)) {
+			continue;
+		}
+
+		if (node.child1 == -1) {
+			if (callback(node.userData) == false) {
+				return;
+			}
+		}
+		else {
+			stack.push(node.child1);
+			stack.push(node.child2);
+		}
+	}
+}
+
+DynamicTree.prototype.rayCast = function(p1, p2, callback) {
+	if (this.root == -1) {
+		return;
+	}
+
+	var d = vec2.sub(p2, p1);
+	var maxFraction = 1;
+	var stack = [this.root];
+
+	while (stack.length > 0) {
+		var node = this.nodeArr[stack.pop()];
+
+		if (!rayIntersectsBounds(p1, d, maxFraction, node.bounds)) {
+			continue;
+		}
+
+		if (node.child1 == -1) {
+			var fraction = callback(node.userData);
+			if (fraction == 0) {
+				return;
+			}
+
+			if (fraction != undefined) {
+				maxFraction = Math.min(maxFraction, fraction);
+			}
+		}
+		else {
+			stack.push(node.child1);
+			stack.push(node.child2);
+		}
+	}
+
+	// Slab test for the ray p + d * t (0 <= t <= maxFraction)
+	function rayIntersectsBounds(p, d, maxFraction, bounds) {
+		var tmin = 0;
+		var tmax = maxFraction;
+		var axes = ["x", "y"];
+
+		for (var i = 0; i < 2; i++) {
+			var axis = axes[i];
+
+			if (Math.abs(d[axis]) < 0.0000001) {
+				if (p[axis] < bounds.mins[axis] || p[axis] > bounds.maxs[axis]) {
+					return false;
+				}
+			}
+			else {
+				var t1 = (bounds.mins[axis] - p[axis]) / d[axis];
+				var t2 = (bounds.maxs[axis] - p[axis]) / d[axis];
+				tmin = Math.max(tmin, Math.min(t1, t2));
+				tmax = Math.min(tmax, Math.max(t1, t2));
+
+				if (tmin > tmax) {
+					return false;
+				}
+			}
+		}
+
+		return true;
+	}
+}
+
+DynamicTree.prototype.insertLeaf = function(leaf) {
+	if (this.root == -1) {
+		this.root = leaf;
+		this.nodeArr[leaf].parent = -1;
+		return;
+	}
+
+	// Find the best sibling for this leaf
+	var leafBounds = this.nodeArr[leaf].bounds;
+	var index = this.root;
+
+	while (!this.isLeaf(index)) {
+		var node = this.nodeArr[index];
+		var child1 = node.child1;
+		var child2 = node.child2;
+
+		var area = node.bounds.getPerimeter();
+		var combinedArea = new Bounds(node.bounds.mins, node.bounds.maxs).addBounds(leafBounds).getPerimeter();
+
+		// Cost of creating a new parent for this node and the new leaf
+		var cost = 2 * combinedArea;
+
+		// Minimum cost of pushing the leaf further down the tree
+		var inheritanceCost = 2 * (combinedArea - area);
+
+		// Cost of descending into child1, child2
+		var cost1 = this.descendingCost(child1, leafBounds) + inheritanceCost;
+		var cost2 = this.descendingCost(child2, leafBounds) + inheritanceCost;
+
+		// Descend according to the minimum cost
+		if (cost < cost1 && cost < cost2) {
+			break;
+		}
+
+		index = cost1 < cost2 ? child1 : child2;
+	}
+
+	var sibling = index;
+
+	// Create a new parent
+	var oldParent = this.nodeArr[sibling].parent;
+	var newParent = this.allocateNode();
+	var newParentNode = this.nodeArr[newParent];
+	newParentNode.parent = oldParent;
+	newParentNode.bounds.copy(leafBounds).addBounds(this.nodeArr[sibling].bounds);
+	newParentNode.height = this.nodeArr[sibling].height + 1;
+	newParentNode.child1 = sibling;
+	newParentNode.child2 = leaf;
+
+	if (oldParent != -1) {
+		// The sibling was not the root
+		if (this.nodeArr[oldParent].child1 == sibling) {
+			this.nodeArr[oldParent].child1 = newParent;
+		}
+		else {
+			this.nodeArr[oldParent].child2 = newParent;
+		}
+	}
+	else {
+		// The sibling was the root
+		this.root = newParent;
+	}
+
+	this.nodeArr[sibling].parent = newParent;
+	this.nodeArr[leaf].parent = newParent;
+
+	// Walk back up the tree fixing heights and bounds
+	this.refit(this.nodeArr[leaf].parent);
+}
+
+DynamicTree.prototype.descendingCost = function(index, leafBounds) {
+	var node = this.nodeArr[index];
+	var combinedArea = new Bounds(node.bounds.mins, node.bounds.maxs).addBounds(leafBounds).getPerimeter();
+
+	if (node.child1 == -1) {
+		return combinedArea;
+	}
+
+	return combinedArea - node.bounds.getPerimeter();
+}
+
+DynamicTree.prototype.removeLeaf = function(leaf) {
+	if (leaf == this.root) {
+		this.root = -1;
+		return;
+	}
+
+	var parent = this.nodeArr[leaf].parent;
+	var parentNode = this.nodeArr[parent];
+	var grandParent = parentNode.parent;
+	var sibling = parentNode.child1 == leaf ? parentNode.child2 : parentNode.child1;
+
+	if (grandParent != -1) {
+		// Destroy parent and connect sibling to grandParent
+		if (this.nodeArr[grandParent].child1 == parent) {
+			this.nodeArr[grandParent].child1 = sibling;
+		}
+		else {
+			this.nodeArr[grandParent].child2 = sibling;
+		}
+
+		this.nodeArr[sibling].parent = grandParent;
+		this.freeNode(parent);
+
+		// Adjust ancestor bounds
+		this.refit(grandParent);
+	}
+	else {
+		this.root = sibling;
+		this.nodeArr[sibling].parent = -1;
+		this.freeNode(parent);
+	}
+
+	this.nodeArr[leaf].parent = -1;
+}
+
+// Walk up the tree from index to the root, fixing heights and bounds
+DynamicTree.prototype.refit = function(index) {
+	while (index != -1) {
+		index = this.balance(index);
+
+		var node = this.nodeArr[index];
+		var child1 = this.nodeArr[node.child1];
+		var child2 = this.nodeArr[node.child2];
+
+		node.height = 1 + Math.max(child1.height, child2.height);
+		node.bounds.copy(child1.bounds).addBounds(child2.bounds);
+
+		index = node.parent;
+	}
+}
+
+// Perform a left or right rotation if node A is imbalanced.
+// Returns the new root index of the sub tree.
+DynamicTree.prototype.balance = function(iA) {
+	var A = this.nodeArr[iA];
+	if (A.child1 == -1 || A.height < 2) {
+		return iA;
+	}
+
+	var iB = A.child1;
+	var iC = A.child2;
+	var B = this.nodeArr[iB];
+	var C = this.nodeArr[iC];
+
+	var balance = C.height - B.height;
+
+	// Rotate C up
+	if (balance > 1) {
+		return this.rotate(iA, iC, iB);
+	}
+
+	// Rotate B up
+	if (balance < -1) {
+		return this.rotate(iA, iB, iC);
+	}
+
+	return iA;
+}
+
+// Rotate the higher child iUp of A up to the place of A.
+// iOther is the other child of A which stays under A.
+DynamicTree.prototype.rotate = function(iA, iUp, iOther) {
+	var A = this.nodeArr[iA];
+	var U = this.nodeArr[iUp];
+	var O = this.nodeArr[iOther];
+
+	var iF = U.child1;
+	var iG = U.child2;
+	var F = this.nodeArr[iF];
+	var G = this.nodeArr[iG];
+
+	// Swap A and U
+	U.child1 = iA;
+	U.parent = A.parent;
+	A.parent = iUp;
+
+	// A's old parent should point to U
+	if (U.parent != -1) {
+		if (this.nodeArr[U.parent].child1 == iA) {
+			this.nodeArr[U.parent].child1 = iUp;
+		}
+		else {
+			this.nodeArr[U.parent].child2 = iUp;
+		}
+	}
+	else {
+		this.root = iUp;
+	}
+
+	// Keep the higher grand child under U and move the lower one to A
+	var iKeep = F.height > G.height ? iF : iG;
+	var iMove = F.height > G.height ? iG : iF;
+	var keep = this.nodeArr[iKeep];
+	var move = this.nodeArr[iMove];
+
+	U.child2 = iKeep;
+
+	if (A.child1 == iUp) {
+		A.child1 = iMove;
+	}
+	else {
+		A.child2 = iMove;
+	}
+
+	move.parent = iA;
+
+	A.bounds.copy(O.bounds).addBounds(move.bounds);
+	U.bounds.copy(A.bounds).addBounds(keep.bounds);
+
+	A.height = 1 + Math.max(O.height, move.height);
+	U.height = 1 + Math.max(A.height, keep.height);
+
+	return iUp;
+}
@@ -93,7 +93,7 @@ var collision = {};
 
 		for (var i = 0; i < poly.verts.length; i++) {
 			var plane = poly.tplanes[i];
-			var dist = vec2.dot(circ.tc, plane.n) - plane.d - circ.r;
+			var dist = vec2.dot(circ.tc, plane.n) - plane.d - circ.r - poly.r;
 
 			if (dist > 0) {
 				return 0;
@@ -112,10 +112,10 @@ var collision = {};
 		var dt = vec2.cross(circ.tc, n);
 
 		if (dt > dta) {
-			return _circle2Circle(circ.tc, circ.r, a, 0, contactArr);
+			return _circle2Circle(circ.tc, circ.r, a, poly.r, contactArr);
 		}
 		else if (dt < dtb) {
-			return _circle2Circle(circ.tc, circ.r, b, 0, contactArr);
+			return _circle2Circle(circ.tc, circ.r, b, poly.r, contactArr);
 		}
 
 		contactArr.push(new Contact(vec2.mad(circ.tc, n, -(circ.r + minDist * 0.5)), vec2.neg(n), minDist, 0));
@@ -193,22 +193,23 @@ var collision = {};
 
 		for (var i = 0; i < poly.verts.length; i++) {
 			var v = poly.tverts[i];
-			if (vec2.dot(v, n) < vec2.dot(seg.tn, seg.ta) * coef + seg.r) {
+			if (vec2.dot(v, n) < vec2.dot(seg.tn, seg.ta) * coef + seg.r + poly.r) {
 				var dt = vec2.cross(seg.tn, v);
 				if (dta >= dt && dt >= dtb) {
-					contactArr.push(new Contact(v, n, dist, (poly.id << 16) | i));
+					contactArr.push(new Contact(vec2.mad(v, n, -poly.r), n, dist, (poly.id << 16) | i));
 				}
 			}
 		}
 	}
 
 	function segment2Poly(seg, poly, contactArr) {
+		var first = contactArr.length;
 		var seg_td = vec2.dot(seg.tn, seg.ta);
-		var seg_d1 = poly.distanceOnPlane(seg.tn, seg_td) - seg.r;
+		var seg_d1 = poly.distanceOnPlane(seg.tn, seg_td) - seg.r - poly.r;
 		if (seg_d1 > 0) {
 			return 0;
 		}
-		var seg_d2 = poly.distanceOnPlane(vec2.neg(seg.tn), -seg_td) - seg.r;
+		var seg_d2 = poly.distanceOnPlane(vec2.neg(seg.tn), -seg_td) - seg.r - poly.r;
 		if (seg_d2 > 0) {
 			return 0;
 		}
@@ -218,7 +219,7 @@ var collision = {};
 
 		for (var i = 0; i < poly.verts.length; i++) {
 			var plane = poly.tplanes[i];
-			var dist = seg.distanceOnPlane(plane.n, plane.d);
+			var dist = seg.distanceOnPlane(plane.n, plane.d) - poly.r;
 			if (dist > 0) {
 				return 0;
 			}
@@ -233,11 +234,11 @@ var collision = {};
 		var va = vec2.mad(seg.ta, poly_n, seg.r);
 		var vb = vec2.mad(seg.tb, poly_n, seg.r);
 
-		if (poly.containPoint(va)) {
+		if (poly.pointQuery(va)) {
 			contactArr.push(new Contact(va, poly_n, poly_d, (seg.id << 16) | 0));
 		}
 
-		if (poly.containPoint(vb)) {
+		if (poly.pointQuery(vb)) {
 			contactArr.push(new Contact(vb, poly_n, poly_d, (seg.id << 16) | 1));
 		}
 
@@ -254,33 +255,34 @@ var collision = {};
 		}
 
 		// If no other collision points are found, try colliding endpoints.
-		if (contactArr.length == 0) {
+		if (contactArr.length == first) {
 			var poly_a = poly.tverts[poly_i];
 			var poly_b = poly.tverts[(poly_i + 1) % poly.verts.length];
 
-			if (_circle2Circle(seg.ta, seg.r, poly_a, 0, contactArr))
+			if (_circle2Circle(seg.ta, seg.r, poly_a, poly.r, contactArr))
 				return 1;
 			
-			if (_circle2Circle(seg.tb, seg.r, poly_a, 0, contactArr))
+			if (_circle2Circle(seg.tb, seg.r, poly_a, poly.r, contactArr))
 				return 1;
 			
-			if (_circle2Circle(seg.ta, seg.r, poly_b, 0, contactArr))
+			if (_circle2Circle(seg.ta, seg.r, poly_b, poly.r, contactArr))
 				return 1;
 			
-			if (_circle2Circle(seg.tb, seg.r, poly_b, 0, contactArr))
+			if (_circle2Circle(seg.tb, seg.r, poly_b, poly.r, contactArr))
 				return 1;
 		}
 
-		return contactArr.length;
+		return contactArr.length - first;
 	}
 
 	// Find the minimum separating axis for the given poly and plane list.
-	function findMSA(poly, planes, num)	{
+	// radius is the sum of the rounded radii of the polys.
+	function findMSA(poly, planes, num, radius)	{
 		var min_dist = -999999;
 		var min_index = -1;
 
 		for (var i = 0; i < num; i++) {
-			var dist = poly.distanceOnPlane(planes[i].n, planes[i].d);
+			var dist = poly.distanceOnPlane(planes[i].n, planes[i].d) - radius;
 			if (dist > 0) { // no collision
 				return { dist: 0, index: -1 };
 			} 
@@ -342,17 +344,147 @@ var collision = {};
 		return num > 0 ? num : findVertsFallback(contactArr, poly1, poly2, n, dist);
 	}
 
+	// Clip the incident line segment v1 -> v2 of rounded radius by the side planes of the reference face,
+	// and find the points within the rounded radii.
+	function clipToFace(contactArr, ref, index, v1, v2, incRadius, flip, hash) {
+		var n = ref.tplanes[index].n;
+		var d = ref.tplanes[index].d;
+		var a = ref.tverts[index];
+		var b = ref.tverts[(index + 1) % ref.verts.length];
+		var radius = ref.r + incRadius;
+
+		var t = vec2.sub(b, a);
+		var ta = vec2.dot(t, a);
+		var tb = vec2.dot(t, b);
+		var t1 = vec2.dot(t, v1);
+		var t2 = vec2.dot(t, v2);
+		var smin = 0;
+		var smax = 1;
+
+		if (t1 != t2) {
+			var sa = (ta - t1) / (t2 - t1);
+			var sb = (tb - t1) / (t2 - t1);
+			smin = Math.max(smin, Math.min(sa, sb));
+			smax = Math.min(smax, Math.max(sa, sb));
+		}
+		else if (t1 < ta || t1 > tb) {
+			return 0;
+		}
+
+		if (smin > smax) {
+			return 0;
+		}
+
+		var num = 0;
+		var s = [smin, smax];
+		var numPoints = (smin == smax || vec2.distsq(v1, v2) == 0) ? 1 : 2;
+		for (var i = 0; i < numPoints; i++) {
+			var p = vec2.lerp(v1, v2, s[i]);
+			var sep = vec2.dot(n, p) - d;
+			if (sep > radius) {
+				continue;
+			}
+
+			// Middle of the rounded skins
+			var cp = vec2.mad(p, n, (ref.r - incRadius - sep) * 0.5);
+			contactArr.push(new Contact(cp, flip ? vec2.neg(n) : n, sep - radius, hash + i));
+			num++;
+		}
+
+		return num;
+	}
+
+	// Clip the incident edge of poly inc by the reference face
+	function clipIncidentEdge(contactArr, ref, index, inc, flip) {
+		var n = ref.tplanes[index].n;
+
+		// Incident edge is the most anti-parallel edge to the reference face
+		var incIndex = 0;
+		var minDot = 999999;
+		for (var i = 0; i < inc.verts.length; i++) {
+			var dot = vec2.dot(inc.tplanes[i].n, n);
+			if (dot < minDot) {
+				minDot = dot;
+				incIndex = i;
+			}
+		}
+
+		var v1 = inc.tverts[incIndex];
+		var v2 = inc.tverts[(incIndex + 1) % inc.verts.length];
+
+		return clipToFace(contactArr, ref, index, v1, v2, inc.r, flip, (inc.id << 16) | (incIndex * 2));
+	}
+
+	// Closest vertex to edge of the separated polys
+	function closestPoly2Poly(contactArr, poly1, poly2, radius) {
+		var minDistsq = 999999;
+		var p1, p2, hash;
+
+		for (var i = 0; i < poly1.verts.length; i++) {
+			for (var j = 0; j < poly2.verts.length; j++) {
+				var q = closestPointOnSegment(poly1.tverts[i], poly2.tverts[j], poly2.tverts[(j + 1) % poly2.verts.length]);
+				var distsq = vec2.distsq(poly1.tverts[i], q);
+				if (distsq < minDistsq) {
+					minDistsq = distsq;
+					p1 = poly1.tverts[i];
+					p2 = q;
+					hash = (poly1.id << 16) | i;
+				}
+			}
+		}
+
+		for (var i = 0; i < poly2.verts.length; i++) {
+			for (var j = 0; j < poly1.verts.length; j++) {
+				var q = closestPointOnSegment(poly2.tverts[i], poly1.tverts[j], poly1.tverts[(j + 1) % poly1.verts.length]);
+				var distsq = vec2.distsq(poly2.tverts[i], q);
+				if (distsq < minDistsq) {
+					minDistsq = distsq;
+					p1 = q;
+					p2 = poly2.tverts[i];
+					hash = (poly2.id << 16) | i;
+				}
+			}
+		}
+
+		var dist = Math.sqrt(minDistsq);
+		if (dist > radius || dist == 0) {
+			return 0;
+		}
+
+		var n = vec2.scale(vec2.sub(p2, p1), 1 / dist);
+		var p = vec2.lerp(vec2.mad(p1, n, poly1.r), vec2.mad(p2, n, -poly2.r), 0.5);
+		contactArr.push(new Contact(p, n, dist - radius, hash));
+
+		return 1;
+	}
+
 	function poly2Poly(poly1, poly2, contactArr) {
-		var msa1 = findMSA(poly2, poly1.tplanes, poly1.verts.length);
+		var rsum = poly1.r + poly2.r;
+
+		var msa1 = findMSA(poly2, poly1.tplanes, poly1.verts.length, rsum);
 		if (msa1.index == -1) {
 			return 0;
 		}
 
-		var msa2 = findMSA(poly1, poly2.tplanes, poly2.verts.length);
+		var msa2 = findMSA(poly1, poly2.tplanes, poly2.verts.length, rsum);
 		if (msa2.index == -1) {
 			return 0;
 		}
 
+		// Inner polys are separated and only the rounded skins are overlapped
+		if (Math.max(msa1.dist, msa2.dist) + rsum > 0) {
+			// Prefer poly1 as the reference to avoid flip-flopping between similar separations
+			var num;
+			if (msa1.dist >= msa2.dist - 0.0005) {
+				num = clipIncidentEdge(contactArr, poly1, msa1.index, poly2, false);
+			}
+			else {
+				num = clipIncidentEdge(contactArr, poly2, msa2.index, poly1, true);
+			}
+
+			return num > 0 ? num : closestPoly2Poly(contactArr, poly1, poly2, rsum);
+		}
+
 		// Penetration normal direction shoud be from poly1 to poly2
 		if (msa1.dist > msa2.dist) {
 			return findVerts(contactArr, poly1, poly2, poly1.tplanes[msa1.index].n, msa1.dist);
@@ -361,6 +493,503 @@ var collision = {};
 		return findVerts(contactArr, poly1, poly2, vec2.neg(poly2.tplanes[msa2.index].n), msa2.dist);
 	}
 	
+	// Contacts on the front face of the chain edge only
+	function shape2EdgeFace(shape, edge, contactArr) {
+		switch (shape.type) {
+		case Shape.TYPE_CIRCLE:
+			return clipToFace(contactArr, edge, 0, shape.tc, shape.tc, shape.r, true, 0);
+		case Shape.TYPE_SEGMENT:
+			return clipToFace(contactArr, edge, 0, shape.ta, shape.tb, shape.r, true, shape.id << 16);
+		case Shape.TYPE_POLY:
+			return clipIncidentEdge(contactArr, edge, 0, shape, true);
+		}
+	}
+
+	// Edge is clipped against the poly face instead of going through poly2Poly,
+	// which doesn't handle the 2 vertices polys.
+	// Contact normal is from the poly to the edge.
+	function poly2Edge(poly, edge, contactArr) {
+		var plane = edge.tplanes[0];
+		var edgeDist = poly.distanceOnPlane(plane.n, plane.d) - poly.r;
+		if (edgeDist > 0) {
+			return 0;
+		}
+
+		var msa = findMSA(edge, poly.tplanes, poly.verts.length, poly.r);
+		if (msa.index == -1) {
+			return 0;
+		}
+
+		// Prefer the edge face as the reference to avoid flip-flopping between similar separations
+		if (edgeDist >= msa.dist - 0.0005) {
+			return clipIncidentEdge(contactArr, edge, 0, poly, true);
+		}
+
+		return clipIncidentEdge(contactArr, poly, msa.index, edge, false);
+	}
+
+	// Poly is collided with each edge of chain by poly2Edge, and the other shapes with the zero radius segment of the edge.
+	// Contact normals not allowed by the neighbor vertices are replaced by the face contacts of the edge,
+	// so there are no bumps at the internal vertices.
+	function shape2Chain(shape, chain, contactArr) {
+		var center = shape.bounds.getCenter();
+		var num = 0;
+
+		for (var i = 0; i < chain.edgeArr.length; i++) {
+			var edge = chain.edgeArr[i];
+			var plane = edge.tplanes[0];
+
+			// One-sided edge doesn't collide with the shape behind it
+			if (!edge.bounds.intersectsBounds(shape.bounds) || vec2.dot(plane.n, center) - plane.d < 0) {
+				continue;
+			}
+
+			var first = contactArr.length;
+			if (shape.type == Shape.TYPE_POLY) {
+				poly2Edge(shape, edge, contactArr);
+			}
+			else {
+				colFuncs[shape.type * Shape.NUM_TYPES + Shape.TYPE_SEGMENT](shape, edge.segment, contactArr);
+			}
+
+			// Contact normal is from the shape to the edge
+			for (var k = first; k < contactArr.length; k++) {
+				if (!chain.isValidNormal(i, vec2.neg(contactArr[k].n))) {
+					contactArr.length = first;
+					shape2EdgeFace(shape, edge, contactArr);
+					break;
+				}
+			}
+
+			// Keep the contact hashes distinct between the edges for the warm starting
+			for (var k = first; k < contactArr.length; k++) {
+				contactArr[k].hash = contactArr[k].hash * 65536 + i;
+			}
+
+			num += contactArr.length - first;
+		}
+
+		return num;
+	}
+
+	// Static terrains don't collide with each other
+	function chain2Chain(chain1, chain2, contactArr) {
+		return 0;
+	}
+
+	// Thickness of the inner core of shape
+	function shapeThickness(shape) {
+		switch (shape.type) {
+		case Shape.TYPE_CIRCLE:
+		case Shape.TYPE_SEGMENT:
+			return shape.r;
+		case Shape.TYPE_POLY:
+			if (shape.convexParts) {
+				var thickness = 999999;
+				for (var i = 0; i < shape.convexParts.length; i++) {
+					thickness = Math.min(thickness, shapeThickness(shape.convexParts[i]));
+				}
+				return thickness;
+			}
+
+			var c = centroidForPoly(shape.verts);
+			var thickness = 999999;
+			for (var i = 0; i < shape.planes.length; i++) {
+				thickness = Math.min(thickness, shape.planes[i].d - vec2.dot(shape.planes[i].n, c));
+			}
+			return thickness + shape.r;
+		case Shape.TYPE_CHAIN:
+			return 0;
+		}
+	}
+
+	// Maximum distance from the local center to the shape
+	function shapeRadius(shape, center) {
+		switch (shape.type) {
+		case Shape.TYPE_CIRCLE:
+			return vec2.dist(shape.c, center) + shape.r;
+		case Shape.TYPE_SEGMENT:
+			return Math.max(vec2.dist(shape.a, center), vec2.dist(shape.b, center)) + shape.r;
+		case Shape.TYPE_POLY:
+			var radius = 0;
+			for (var i = 0; i < shape.verts.length; i++) {
+				radius = Math.max(radius, vec2.dist(shape.verts[i], center));
+			}
+			return radius + shape.r;
+		case Shape.TYPE_CHAIN:
+			var radius = 0;
+			for (var i = 0; i < shape.verts.length; i++) {
+				radius = Math.max(radius, vec2.dist(shape.verts[i], center));
+			}
+			return radius;
+		}
+	}
+
+	// Upper bound of the distance which any point of shape travels during the sweep
+	function sweepMotion(shape, sweep) {
+		if (!sweep) {
+			return 0;
+		}
+
+		return vec2.dist(sweep.p0, sweep.p1) + Math.abs(sweep.a1 - sweep.a0) * shapeRadius(shape, sweep.centroid);
+	}
+
+	collision.TOI_LINEAR_SLOP = 0.0008;
+	collision.TOI_MAX_ITERATIONS = 20;
+
+	// Time of impact of two swept shapes in range [0, 1].
+	// sweep2 can be null if shape2 doesn't move.
+	// Time is advanced conservatively by the closest distance of the shapes,
+	// but at least by the spacing of the shape thickness so that the shapes can't pass through each other between two samples,
+	// then the first overlapping time is refined by bisection.
+	// Returns 1 if the shapes don't hit or already overlap at the beginning of the sweeps.
+	// The returned time is slightly after the impact, so the shapes are touching at that time.
+	// NOTE: transformed data of the shapes is left at the end of the sweeps.
+	collision.timeOfImpact = function(shape1, sweep1, shape2, sweep2) {
+		var xf1 = new Transform(new vec2(0, 0), 0);
+		var xf2 = new Transform(new vec2(0, 0), 0);
+		var contactArr = [];
+
+		function overlapAt(t) {
+			shape1.cacheData(sweep1.getTransform(xf1, t));
+			if (sweep2) {
+				shape2.cacheData(sweep2.getTransform(xf2, t));
+			}
+
+			contactArr.length = 0;
+			return collision.collide(shape1, shape2, contactArr) > 0;
+		}
+
+		var toi = 1;
+		var motion = sweepMotion(shape1, sweep1) + sweepMotion(shape2, sweep2);
+
+		if (motion > collision.TOI_LINEAR_SLOP && !overlapAt(0)) {
+			var spacing = Math.max(shapeThickness(shape1) + shapeThickness(shape2), collision.TOI_LINEAR_SLOP);
+			var t0 = 0;
+			var t1 = -1;
+
+			// No point of the shapes moves farther than the closest distance while advancing
+			while (t0 < 1) {
+				var dist = collision.distance(shape1, shape2).distance;
+				var t = Math.min(t0 + Math.max(dist, spacing) / motion, 1);
+				if (overlapAt(t)) {
+					t1 = t;
+					break;
+				}
+
+				t0 = t;
+			}
+
+			if (t1 != -1) {
+				// Bisection between separated time t0 and overlapped time t1
+				for (var i = 0; i < collision.TOI_MAX_ITERATIONS; i++) {
+					if ((t1 - t0) * motion < collision.TOI_LINEAR_SLOP) {
+						break;
+					}
+
+					var t = (t0 + t1) * 0.5;
+					if (overlapAt(t)) {
+						t1 = t;
+					}
+					else {
+						t0 = t;
+					}
+				}
+
+				toi = t1;
+			}
+		}
+
+		shape1.cacheData(sweep1.getTransform(xf1, 1));
+		if (sweep2) {
+			shape2.cacheData(sweep2.getTransform(xf2, 1));
+		}
+
+		return toi;
+	}
+
+	// Convex core vertices and skin radius of shape used by GJK
+	function distanceProxy(shape) {
+		switch (shape.type) {
+		case Shape.TYPE_CIRCLE:
+			return { verts: [shape.tc], radius: shape.r };
+		case Shape.TYPE_SEGMENT:
+			return { verts: [shape.ta, shape.tb], radius: shape.r };
+		case Shape.TYPE_POLY:
+			return { verts: shape.tverts, radius: shape.r };
+		}
+	}
+
+	// Index of the farthest vertex along direction d
+	function supportIndex(verts, d) {
+		var bestIndex = 0;
+		var bestValue = vec2.dot(verts[0], d);
+		for (var i = 1; i < verts.length; i++) {
+			var value = vec2.dot(verts[i], d);
+			if (value > bestValue) {
+				bestIndex = i;
+				bestValue = value;
+			}
+		}
+
+		return bestIndex;
+	}
+
+	function simplexVertex(proxy1, index1, proxy2, index2) {
+		var w1 = proxy1.verts[index1];
+		var w2 = proxy2.verts[index2];
+		return { w1: w1, w2: w2, w: vec2.sub(w2, w1), a: 1, index1: index1, index2: index2 };
+	}
+
+	// Closest point of the segment simplex to the origin using barycentric coordinates
+	function solveSimplex2(v) {
+		var w1 = v[0].w;
+		var w2 = v[1].w;
+		var e12 = vec2.sub(w2, w1);
+
+		// w1 region
+		var d12_2 = -vec2.dot(w1, e12);
+		if (d12_2 <= 0) {
+			v[0].a = 1;
+			v.length = 1;
+			return;
+		}
+
+		// w2 region
+		var d12_1 = vec2.dot(w2, e12);
+		if (d12_1 <= 0) {
+			v[1].a = 1;
+			v.splice(0, 1);
+			return;
+		}
+
+		// Must be in e12 region
+		var inv = 1 / (d12_1 + d12_2);
+		v[0].a = d12_1 * inv;
+		v[1].a = d12_2 * inv;
+	}
+
+	// Closest point of the triangle simplex to the origin using barycentric coordinates
+	function solveSimplex3(v) {
+		var w1 = v[0].w;
+		var w2 = v[1].w;
+		var w3 = v[2].w;
+
+		var e12 = vec2.sub(w2, w1);
+		var d12_1 = vec2.dot(w2, e12);
+		var d12_2 = -vec2.dot(w1, e12);
+
+		var e13 = vec2.sub(w3, w1);
+		var d13_1 = vec2.dot(w3, e13);
+		var d13_2 = -vec2.dot(w1, e13);
+
+		var e23 = vec2.sub(w3, w2);
+		var d23_1 = vec2.dot(w3, e23);
+		var d23_2 = -vec2.dot(w2, e23);
+
+		// Triangle123
+		var n123 = vec2.cross(e12, e13);
+		var d123_1 = n123 * vec2.cross(w2, w3);
+		var d123_2 = n123 * vec2.cross(w3, w1);
+		var d123_3 = n123 * vec2.cross(w1, w2);
+
+		// w1 region
+		if (d12_2 <= 0 && d13_2 <= 0) {
+			v[0].a = 1;
+			v.length = 1;
+			return;
+		}
+
+		// e12
+		if (d12_1 > 0 && d12_2 > 0 && d123_3 <= 0) {
+			var inv = 1 / (d12_1 + d12_2);
+			v[0].a = d12_1 * inv;
+			v[1].a = d12_2 * inv;
+			v.length = 2;
+			return;
+		}
+
+		// e13
+		if (d13_1 > 0 && d13_2 > 0 && d123_2 <= 0) {
+			var inv = 1 / (d13_1 + d13_2);
+			v[0].a = d13_1 * inv;
+			v[2].a = d13_2 * inv;
+			v.splice(1, 1);
+			return;
+		}
+
+		// w2 region
+		if (d12_1 <= 0 && d23_2 <= 0) {
+			v[1].a = 1;
+			v.splice(0, 1);
+			v.length = 1;
+			return;
+		}
+
+		// w3 region
+		if (d13_1 <= 0 && d23_1 <= 0) {
+			v[2].a = 1;
+			v.splice(0, 2);
+			return;
+		}
+
+		// e23
+		if (d23_1 > 0 && d23_2 > 0 && d123_1 <= 0) {
+			var inv = 1 / (d23_1 + d23_2);
+			v[1].a = d23_1 * inv;
+			v[2].a = d23_2 * inv;
+			v.splice(0, 1);
+			return;
+		}
+
+		// Must be in triangle123
+		var inv = 1 / (d123_1 + d123_2 + d123_3);
+		v[0].a = d123_1 * inv;
+		v[1].a = d123_2 * inv;
+		v[2].a = d123_3 * inv;
+	}
+
+	collision.DISTANCE_MAX_ITERATIONS = 20;
+
+	// Closest distance between two shapes using GJK on the convex cores of the shapes,
+	// the rounded radius of circle and segment is applied afterwards.
+	// Returns { distance, point1, point2, normal }
+	// point1, point2 are the closest points on the surface of shape1, shape2 in world space
+	// and normal is the unit vector from shape1 to shape2.
+	// If the shapes overlap, distance is the negative penetration depth reported by collision.collide
+	// and both points are the deepest contact point.
+	// NOTE: shapes must have valid transformed data (Shape.cacheData)
+	collision.distance = function(shape1, shape2) {
+		var parts1 = shape1.convexParts || shape1.edgeArr;
+		var parts2 = shape2.convexParts || shape2.edgeArr;
+
+		if (!parts1 && !parts2) {
+			return convexDistance(shape1, shape2);
+		}
+
+		// Closest pair of the convex parts of concave polygon or the edges of chain
+		parts1 = parts1 || [shape1];
+		parts2 = parts2 || [shape2];
+		var result = null;
+
+		for (var i = 0; i < parts1.length; i++) {
+			for (var j = 0; j < parts2.length; j++) {
+				var partResult = convexDistance(parts1[i], parts2[j]);
+				if (!result || partResult.distance < result.distance) {
+					result = partResult;
+				}
+			}
+		}
+
+		return result;
+	}
+
+	function convexDistance(shape1, shape2) {
+		var proxy1 = distanceProxy(shape1);
+		var proxy2 = distanceProxy(shape2);
+
+		var simplex = [simplexVertex(proxy1, 0, proxy2, 0)];
+		var saved1 = [];
+		var saved2 = [];
+
+		for (var iter = 0; iter < collision.DISTANCE_MAX_ITERATIONS; iter++) {
+			// Copy simplex so we can identify duplicates
+			saved1.length = saved2.length = simplex.length;
+			for (var i = 0; i < simplex.length; i++) {
+				saved1[i] = simplex[i].index1;
+				saved2[i] = simplex[i].index2;
+			}
+
+			if (simplex.length == 2) {
+				solveSimplex2(simplex);
+			}
+			else if (simplex.length == 3) {
+				solveSimplex3(simplex);
+			}
+
+			// Origin is inside of the triangle, so the cores overlap
+			if (simplex.length == 3) {
+				break;
+			}
+
+			// Search direction toward the origin
+			var d;
+			if (simplex.length == 1) {
+				d = vec2.neg(simplex[0].w);
+			}
+			else {
+				var e12 = vec2.sub(simplex[1].w, simplex[0].w);
+				d = vec2.cross(e12, vec2.neg(simplex[0].w)) > 0 ? vec2.perp(e12) : vec2.rperp(e12);
+			}
+
+			// Origin is probably contained by a line segment or point
+			if (d.lengthsq() < 0.000001 * 0.000001) {
+				break;
+			}
+
+			var vertex = simplexVertex(proxy1, supportIndex(proxy1.verts, vec2.neg(d)), proxy2, supportIndex(proxy2.verts, d));
+
+			// Main termination criterion: no progress with the duplicate support point
+			var duplicate = false;
+			for (var i = 0; i < saved1.length; i++) {
+				if (vertex.index1 == saved1[i] && vertex.index2 == saved2[i]) {
+					duplicate = true;
+					break;
+				}
+			}
+
+			if (duplicate) {
+				break;
+			}
+
+			simplex.push(vertex);
+		}
+
+		// Witness points of the cores
+		var p1 = new vec2(0, 0);
+		var p2 = new vec2(0, 0);
+		for (var i = 0; i < simplex.length; i++) {
+			p1.mad(simplex[i].w1, simplex[i].a);
+			p2.mad(simplex[i].w2, simplex[i].a);
+		}
+
+		if (simplex.length == 3) {
+			p2.copy(p1);
+		}
+
+		var coreDist = vec2.dist(p1, p2);
+		var radius = proxy1.radius + proxy2.radius;
+
+		if (coreDist > radius && coreDist > 0.000001) {
+			var n = vec2.scale(vec2.sub(p2, p1), 1 / coreDist);
+			return {
+				distance: coreDist - radius,
+				point1: vec2.mad(p1, n, proxy1.radius),
+				point2: vec2.mad(p2, n, -proxy2.radius),
+				normal: n
+			};
+		}
+
+		// Shapes are overlapping
+		var contactArr = [];
+		if (collision.collide(shape1, shape2, contactArr) > 0) {
+			var deepest = contactArr[0];
+			for (var i = 1; i < contactArr.length; i++) {
+				if (contactArr[i].d < deepest.d) {
+					deepest = contactArr[i];
+				}
+			}
+
+			// Contact normal is from the shape of the lower type to the other
+			var n = shape1.type > shape2.type ? vec2.neg(deepest.n) : deepest.n.duplicate();
+			return { distance: deepest.d, point1: deepest.p.duplicate(), point2: deepest.p.duplicate(), normal: n };
+		}
+
+		// Just touching
+		var p = vec2.lerp(p1, p2, 0.5);
+		return { distance: 0, point1: p, point2: p.duplicate(), normal: coreDist > 0 ? vec2.scale(vec2.sub(p2, p1), 1 / coreDist) : new vec2(0, 0) };
+	}
+
 	collision.init = function() {
 		addCollideFunc(Shape.TYPE_CIRCLE, Shape.TYPE_CIRCLE, circle2Circle);
 		addCollideFunc(Shape.TYPE_CIRCLE, Shape.TYPE_SEGMENT, circle2Segment);
@@ -368,6 +997,10 @@ var collision = {};
 		addCollideFunc(Shape.TYPE_SEGMENT, Shape.TYPE_SEGMENT, segment2Segment);
 		addCollideFunc(Shape.TYPE_SEGMENT, Shape.TYPE_POLY, segment2Poly);
 		addCollideFunc(Shape.TYPE_POLY, Shape.TYPE_POLY, poly2Poly);
+		addCollideFunc(Shape.TYPE_CIRCLE, Shape.TYPE_CHAIN, shape2Chain);
+		addCollideFunc(Shape.TYPE_SEGMENT, Shape.TYPE_CHAIN, shape2Chain);
+		addCollideFunc(Shape.TYPE_POLY, Shape.TYPE_CHAIN, shape2Chain);
+		addCollideFunc(Shape.TYPE_CHAIN, Shape.TYPE_CHAIN, chain2Chain);
 	};
 
 	collision.collide = function(a, b, contactArr) {
@@ -377,6 +1010,33 @@ var collision = {};
 			b = c;
 		}
 
-		return colFuncs[a.type * Shape.NUM_TYPES + b.type](a, b, contactArr);
+		var func = colFuncs[a.type * Shape.NUM_TYPES + b.type];
+
+		if (!a.convexParts && !b.convexParts) {
+			return func(a, b, contactArr);
+		}
+
+		// Concave polygon collides part by part
+		var parts1 = a.convexParts || [a];
+		var parts2 = b.convexParts || [b];
+		var numContacts = 0;
+
+		for (var i = 0; i < parts1.length; i++) {
+			for (var j = 0; j < parts2.length; j++) {
+				if (!parts1[i].bounds.intersectsBounds(parts2[j].bounds)) {
+					continue;
+				}
+
+				var first = contactArr.length;
+				numContacts += func(parts1[i], parts2[j], contactArr);
+
+				// Keep the contact hashes distinct between the parts for the warm starting
+				for (var k = first; k < contactArr.length; k++) {
+					contactArr[k].hash = (contactArr[k].hash * 256 + i) * 256 + j;
+				}
+			}
+		}
+
+		return numContacts;
 	};
 })();
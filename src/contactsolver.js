@@ -50,6 +50,9 @@ function ContactSolver(shape1, shape2) {
 
 	// Frictional coefficient
 	this.u = 1;
+
+	// Disabled by preSolve callback for the current step
+	this.enabled = true;
 }
 
 ContactSolver.COLLISION_SLOP = 0.0008;
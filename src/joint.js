@@ -48,6 +48,12 @@ Joint.TYPE_PRISMATIC = 4;
 Joint.TYPE_DISTANCE = 5;
 Joint.TYPE_ROPE = 6;
 Joint.TYPE_MOUSE = 7;
+Joint.TYPE_MAX_DISTANCE = 8;
+Joint.TYPE_SPRING = 9;
+Joint.TYPE_PULLEY = 10;
+Joint.TYPE_GEAR = 11;
+Joint.TYPE_MOTOR = 12;
+Joint.TYPE_FRICTION = 13;
 
 Joint.LINEAR_SLOP = 0.0008;
 Joint.ANGULAR_SLOP = deg2rad(2);
@@ -54,9 +54,13 @@ AngleJoint.prototype.setWorldAnchor2 = function(anchor2) {
 AngleJoint.prototype.serialize = function() {
 	return {
 		"type": "AngleJoint",
+		"id": this.id,
 		"body1": this.body1.id,
 		"body2": this.body2.id,
-		"collideConnected": this.collideConnected
+		"refAngle": this.refAngle,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable
 	};
 }
 
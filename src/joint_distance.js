@@ -71,15 +71,19 @@ DistanceJoint.prototype.setWorldAnchor2 = function(anchor2) {
 DistanceJoint.prototype.serialize = function() {
 	return {
 		"type": "DistanceJoint",
+		"id": this.id,
 		"body1": this.body1.id,
 		"body2": this.body2.id,
 		"anchor1": this.body1.getWorldPoint(this.anchor1),
 		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"restLength": this.restLength,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
 		"breakable": this.breakable,
 		"frequencyHz": this.frequencyHz,
-		"dampingRatio": this.dampingRatio	
+		"dampingRatio": this.dampingRatio
 	};
 }
 
@@ -251,54 +255,77 @@ DistanceJoint.prototype.getReactionForce = function(dt_inv) {
 DistanceJoint.prototype.getReactionTorque = function(dt_inv) {
 	return 0;
 }
-/*
-//------------------------------------------
+
+//-------------------------------------------------------------------------------------------------
 // MaxDistance Joint
-//------------------------------------------
+//
+// Distance joint which keeps the distance between two anchors in range [minDist, maxDist]
+//
+// C = norm(d) - minDist >= 0
+// C = norm(d) - maxDist <= 0
+// J = [ -u, -cross(r1, u), u, cross(r2, u) ]
+//-------------------------------------------------------------------------------------------------
 
 MaxDistanceJoint = function(body1, body2, anchor1, anchor2, minDist, maxDist) {
-	Joint.call(this, body1, body2, true);
+	Joint.call(this, Joint.TYPE_MAX_DISTANCE, body1, body2, true);
 
 	// Local anchor points
-	this.anchor1 = body1.getLocalPoint(anchor1);
-	this.anchor2 = body2.getLocalPoint(anchor2);
+	this.anchor1 = this.body1.getLocalPoint(anchor1);
+	this.anchor2 = this.body2.getLocalPoint(anchor2);
 
+	// Distance range
 	this.minDist = minDist || 0;
-	this.maxDist = maxDist;
-
-	if (maxDist == undefined) {
-		var p1 = vec2.add(vec2.rotate(vec2.sub(this.anchor1, body1.centroid), body1.a), body1.p);
-		var p2 = vec2.add(vec2.rotate(vec2.sub(this.anchor2, body2.centroid), body2.a), body2.p);
-
-		this.maxDist = vec2.dist(p1, p2);
-	}
+	this.maxDist = maxDist == undefined ? vec2.dist(anchor1, anchor2) : maxDist;
 
-	// accumulated impulse
+	// Accumulated impulse
 	this.lambda_acc = 0;
 }
 
 MaxDistanceJoint.prototype = new Joint;
 MaxDistanceJoint.prototype.constructor = MaxDistanceJoint;
 
+MaxDistanceJoint.prototype.serialize = function() {
+	return {
+		"type": "MaxDistanceJoint",
+		"id": this.id,
+		"body1": this.body1.id,
+		"body2": this.body2.id,
+		"anchor1": this.body1.getWorldPoint(this.anchor1),
+		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable,
+		"minDist": this.minDist,
+		"maxDist": this.maxDist
+	};
+}
+
 MaxDistanceJoint.prototype.initSolver = function(dt, warmStarting) {
 	var body1 = this.body1;
 	var body2 = this.body2;
 
-	// max impulse
+	// Max impulse
 	this.maxImpulse = this.maxForce * dt;
 
-	// transformed r1, r2	
+	// Transformed r1, r2
 	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body1.centroid));
 	this.r2 = body2.xf.rotate(vec2.sub(this.anchor2, body2.centroid));
 
-	// delta vector between two anchors
+	// Delta vector between two world anchors
 	var d = vec2.sub(vec2.add(body2.p, this.r2), vec2.add(body1.p, this.r1));
 
-	// distance between two anchors
+	// Distance between two anchors
 	var dist = d.length();
 
-	// unit delta vector
-	this.u = vec2.scale(d, 1 / dist);
+	// Unit delta vector
+	if (dist > Joint.LINEAR_SLOP) {
+		this.u = vec2.scale(d, 1 / dist);
+	}
+	else {
+		this.u = vec2.zero;
+	}
 
 	// s1, s2
 	this.s1 = vec2.cross(this.r1, this.u);
@@ -308,24 +335,23 @@ MaxDistanceJoint.prototype.initSolver = function(dt, warmStarting) {
 	var em_inv = body1.m_inv + body2.m_inv + body1.i_inv * this.s1 * this.s1 + body2.i_inv * this.s2 * this.s2;
 	this.em = em_inv == 0 ? 0 : 1 / em_inv;
 
-	// initial error
-	this.initial_err = 0;
 	if (dist < this.minDist) {
-		this.initial_err = dist - this.minDist;
+		this.limitState = Joint.LIMIT_STATE_AT_LOWER;
 	}
 	else if (dist > this.maxDist) {
-		this.initial_err = dist - this.maxDist;
+		this.limitState = Joint.LIMIT_STATE_AT_UPPER;
 	}
-
-	if (this.initial_err == 0) {
+	else {
+		this.limitState = Joint.LIMIT_STATE_INACTIVE;
 		this.lambda_acc = 0;
 	}
 
 	if (warmStarting) {
-		// apply cached impulses
-		// V += JT * lambda
+		// linearImpulse = JT * lambda
 		var impulse = vec2.scale(this.u, this.lambda_acc);
-	
+
+		// Apply cached constraint impulses
+		// V += JT * lambda * invM
 		body1.v.mad(impulse, -body1.m_inv);
 		body1.w -= this.s1 * this.lambda_acc * body1.i_inv;
 
@@ -338,24 +364,33 @@ MaxDistanceJoint.prototype.initSolver = function(dt, warmStarting) {
 }
 
 MaxDistanceJoint.prototype.solveVelocityConstraints = function() {
-	if (this.initial_err == 0)
+	if (this.limitState == Joint.LIMIT_STATE_INACTIVE) {
 		return;
+	}
 
 	var body1 = this.body1;
 	var body2 = this.body2;
 
-	// compute lambda for velocity constraint	
-	// solve J * invM * JT * lambda = -J * V
+	// Compute lambda for velocity constraint
+	// Solve J * invM * JT * lambda = -(J * V)
 	var cdot = this.u.dot(vec2.sub(body2.v, body1.v)) + this.s2 * body2.w - this.s1 * body1.w;
 	var lambda = -this.em * cdot;
 
-	// accumulate lambda for velocity constraint
-	this.lambda_acc += lambda;
+	// Accumulate lambda and clamp it to push at lower limit and to pull at upper limit
+	var lambda_old = this.lambda_acc;
+	if (this.limitState == Joint.LIMIT_STATE_AT_LOWER) {
+		this.lambda_acc = Math.max(lambda_old + lambda, 0);
+	}
+	else {
+		this.lambda_acc = Math.min(lambda_old + lambda, 0);
+	}
+	lambda = this.lambda_acc - lambda_old;
 
-	// apply impulses
-	// V += JT * lambda
+	// linearImpulse = JT * lambda
 	var impulse = vec2.scale(this.u, lambda);
-	
+
+	// Apply constraint impulses
+	// V += JT * lambda * invM
 	body1.v.mad(impulse, -body1.m_inv);
 	body1.w -= this.s1 * lambda * body1.i_inv;
 
@@ -364,30 +399,20 @@ MaxDistanceJoint.prototype.solveVelocityConstraints = function() {
 }
 
 MaxDistanceJoint.prototype.solvePositionConstraints = function() {
-	if (this.initial_err == 0)
-		return;
-
 	var body1 = this.body1;
 	var body2 = this.body2;
 
-	// transformed r1, r2	
+	// Transformed r1, r2
 	var r1 = vec2.rotate(vec2.sub(this.anchor1, body1.centroid), body1.a);
 	var r2 = vec2.rotate(vec2.sub(this.anchor2, body2.centroid), body2.a);
 
-	// World Center points
-	var pc1 = vec2.add(body1.p, body1.centroid);
-	var pc2 = vec2.add(body2.p, body2.centroid);
-
-	// delta vector between two anchors
-	var d = vec2.sub(vec2.add(pc2, r2), vec2.add(pc1, r1));
+	// Delta vector between two anchors
+	var d = vec2.sub(vec2.add(body2.p, r2), vec2.add(body1.p, r1));
 
-	// distance between two anchors
+	// Distance between two anchors
 	var dist = d.length();
 
-	// unit delta vector
-	u = vec2.scale(d, 1 / dist);
-	
-	// position constraint
+	// Position constraint
 	var c = 0;
 	if (dist < this.minDist) {
 		c = dist - this.minDist;
@@ -395,17 +420,26 @@ MaxDistanceJoint.prototype.solvePositionConstraints = function() {
 	else if (dist > this.maxDist) {
 		c = dist - this.maxDist;
 	}
+
+	if (c == 0 || dist < Joint.LINEAR_SLOP) {
+		return true;
+	}
+
+	// Unit delta vector
+	var u = vec2.scale(d, 1 / dist);
+
 	var correction = Math.clamp(c, -Joint.MAX_LINEAR_CORRECTION, Joint.MAX_LINEAR_CORRECTION);
 
-	// compute lambda for position constraint	
-	// solve J * invM * JT * lambda = -C / dt
+	// Compute lambda for correction
+	// Solve J * invM * JT * lambda = -C / dt
 	var s1 = vec2.cross(r1, u);
 	var s2 = vec2.cross(r2, u);
-	var em_inv = body1.m_inv + body2.m_inv + body1.i_inv * s1 * s1 + body2.i_inv * s2 * s2;		
-	var lambda_dt = em_inv == 0 ? 0 : -correction / em_inv;	
+	var em_inv = body1.m_inv + body2.m_inv + body1.i_inv * s1 * s1 + body2.i_inv * s2 * s2;
+	var lambda_dt = em_inv == 0 ? 0 : -correction / em_inv;
 
-	// apply impulses
-	// X += JT * lambda * dt
+	// Apply constraint impulses
+	// impulse = JT * lambda
+	// X += impulse * invM * dt
 	var impulse_dt = vec2.scale(u, lambda_dt);
 
 	body1.p.mad(impulse_dt, -body1.m_inv);
@@ -430,32 +464,59 @@ MaxDistanceJoint.prototype.getReactionTorque = function(dt_inv) {
 //------------------------------------------
 
 SpringJoint = function(body1, body2, anchor1, anchor2, restLength, stiffness, damping) {
-	Joint.call(this, body1, body2, true);
+	Joint.call(this, Joint.TYPE_SPRING, body1, body2, true);
 
-	// local anchor points
-	this.anchor1 = anchor1;
-	this.anchor2 = anchor2;	
+	// Local anchor points
+	this.anchor1 = this.body1.getLocalPoint(anchor1);
+	this.anchor2 = this.body2.getLocalPoint(anchor2);
+
+	this.restLength = restLength == undefined ? vec2.dist(anchor1, anchor2) : restLength;
+	this.stiffness = stiffness || 0;
+	this.damping = damping || 0;
 
-	this.restLength = restLength;
-	this.stiffness = stiffness;
-	this.damping = damping;
+	this.spring_impulse = 0;
 }
 
 SpringJoint.prototype = new Joint;
 SpringJoint.prototype.constructor = SpringJoint;
 
+SpringJoint.prototype.serialize = function() {
+	return {
+		"type": "SpringJoint",
+		"id": this.id,
+		"body1": this.body1.id,
+		"body2": this.body2.id,
+		"anchor1": this.body1.getWorldPoint(this.anchor1),
+		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable,
+		"restLength": this.restLength,
+		"stiffness": this.stiffness,
+		"damping": this.damping
+	};
+}
+
 SpringJoint.prototype.initSolver = function(dt, warmStarting) {
 	var body1 = this.body1;
 	var body2 = this.body2;
 
-	// transformed r1, r2
-	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body2.centroid));
+	// Transformed r1, r2
+	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body1.centroid));
 	this.r2 = body2.xf.rotate(vec2.sub(this.anchor2, body2.centroid));
 
 	var d = vec2.sub(vec2.add(body2.p, this.r2), vec2.add(body1.p, this.r1));
 	var dist = d.length();
 
-	this.u = vec2.scale(d, 1 / dist);
+	// Unit delta vector
+	if (dist > Joint.LINEAR_SLOP) {
+		this.u = vec2.scale(d, 1 / dist);
+	}
+	else {
+		this.u = vec2.zero;
+	}
 
 	// s1, s2
 	this.s1 = vec2.cross(this.r1, this.u);
@@ -469,11 +530,11 @@ SpringJoint.prototype.initSolver = function(dt, warmStarting) {
 	this.target_rnv = 0;
 	this.v_coeff = 1.0 - Math.exp(-this.damping * dt * em_inv);
 
-	// apply spring force
+	// Apply spring force
 	var spring_f = (this.restLength - dist) * this.stiffness;
 	this.spring_impulse = spring_f * dt;
 
-	// apply impulses
+	// Apply impulses
 	// V += JT * lambda
 	var impulse = vec2.scale(this.u, this.spring_impulse);
 	
@@ -488,17 +549,17 @@ SpringJoint.prototype.solveVelocityConstraints = function() {
 	var body1 = this.body1;
 	var body2 = this.body2;
 	
-	// compute lambda for velocity constraint	
-	// solve J * invM * JT * lambda = -J * V
+	// Compute lambda for velocity constraint
+	// Solve J * invM * JT * lambda = -J * V
 	var cdot = this.u.dot(vec2.sub(body2.v, body1.v)) + this.s2 * body2.w - this.s1 * body1.w;
 	var rnv = cdot + this.target_rnv;
 
-	// compute velocity loss from drag
+	// Compute velocity loss from drag
 	var v_damp = rnv * this.v_coeff;
 	this.target_rnv = -rnv + v_damp;
 	var lambda = -this.em * v_damp;
 
-	// apply impulses
+	// Apply impulses
 	// V += JT * lambda
 	var impulse = vec2.scale(this.u, lambda);
 
@@ -519,4 +580,4 @@ SpringJoint.prototype.getReactionForce = function(dt_inv) {
 
 SpringJoint.prototype.getReactionTorque = function(dt_inv) {
 	return 0;
-}*/
+}
@@ -0,0 +1,254 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+//-------------------------------------------------------------------------------------------------
+// Gear Joint
+//
+// Couples the coordinates of two revolute or prismatic joints.
+// body1, body2 are the moving bodies (body2 of each joint), body3, body4 are the grounds (body1 of each joint).
+//
+// Revolute coordinate:
+// c = a2 - a1 - refAngle
+// cdot = w2 - w1
+// J = [ 0, -1, 0, 1 ] (ground, moving)
+//
+// Prismatic coordinate:
+// c = dot(u, d)
+// cdot = -dot(u, v1) - dot(cross(d + r1, u), w1) + dot(u, v2) + dot(cross(r2, u), w2)
+// J = [ -u, -cross(d + r1, u), u, cross(r2, u) ] (ground, moving)
+//
+// C = c1 + ratio * c2 - constant
+// Cdot = J1 * V1 + ratio * J2 * V2
+// J = [ J1, ratio * J2 ]
+//
+// impulse = JT * lambda
+//-------------------------------------------------------------------------------------------------
+
+GearJoint = function(joint1, joint2, ratio) {
+	Joint.call(this, Joint.TYPE_GEAR, joint1.body2, joint2.body2, false);
+
+	// Coupled joints
+	this.joint1 = joint1;
+	this.joint2 = joint2;
+
+	// Ground bodies of the coupled joints
+	this.body3 = joint1.body1;
+	this.body4 = joint2.body1;
+
+	// Local anchor points (only for the display)
+	this.anchor1 = joint1.anchor2.duplicate();
+	this.anchor2 = joint2.anchor2.duplicate();
+
+	// Coordinate2 changes ratio times slower than coordinate1 (negative ratio turns in the same direction)
+	this.ratio = ratio == undefined ? 1 : ratio;
+
+	// c1 + ratio * c2
+	this.constant = this.getCoordinate1() + this.ratio * this.getCoordinate2();
+
+	// Accumulated impulse
+	this.lambda_acc = 0;
+}
+
+GearJoint.prototype = new Joint;
+GearJoint.prototype.constructor = GearJoint;
+
+GearJoint.prototype.setRatio = function(ratio) {
+	this.ratio = ratio;
+
+	this.constant = this.getCoordinate1() + this.ratio * this.getCoordinate2();
+}
+
+// Rotation angle of the revolute joint or translation of the prismatic joint
+GearJoint.prototype.getCoordinate1 = function() {
+	var joint = this.joint1;
+	return this.computeJacobian(joint, joint.body1.p, joint.body1.a, joint.body2.p, joint.body2.a).c;
+}
+
+GearJoint.prototype.getCoordinate2 = function() {
+	var joint = this.joint2;
+	return this.computeJacobian(joint, joint.body1.p, joint.body1.a, joint.body2.p, joint.body2.a).c;
+}
+
+// Coordinate and jacobian of the coupled joint for the given ground/moving body positions & angles
+GearJoint.prototype.computeJacobian = function(joint, p1, a1, p2, a2) {
+	if (joint.type == Joint.TYPE_REVOLUTE) {
+		return { c: a2 - a1 - joint.refAngle, v1: vec2.zero, w1: -1, v2: vec2.zero, w2: 1 };
+	}
+
+	// Transformed r1, r2
+	var r1 = vec2.rotate(vec2.sub(joint.anchor1, joint.body1.centroid), a1);
+	var r2 = vec2.rotate(vec2.sub(joint.anchor2, joint.body2.centroid), a2);
+
+	// Delta vector
+	var d = vec2.sub(vec2.add(p2, r2), vec2.add(p1, r1));
+
+	// World axis
+	var u = vec2.rotate(vec2.rperp(joint.n_local), a1);
+
+	return { c: vec2.dot(u, d), v1: vec2.neg(u), w1: -vec2.cross(vec2.add(d, r1), u), v2: u, w2: vec2.cross(r2, u) };
+}
+
+GearJoint.prototype.serialize = function() {
+	return {
+		"type": "GearJoint",
+		"id": this.id,
+		"body1": this.body1.id,
+		"body2": this.body2.id,
+		"joint1": this.joint1.id,
+		"joint2": this.joint2.id,
+		"ratio": this.ratio,
+		"constant": this.constant,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable
+	};
+}
+
+GearJoint.prototype.initSolver = function(dt, warmStarting) {
+	var body1 = this.body1;
+	var body2 = this.body2;
+	var body3 = this.body3;
+	var body4 = this.body4;
+
+	// Max impulse
+	this.maxImpulse = this.maxForce * dt;
+
+	var j1 = this.computeJacobian(this.joint1, body3.p, body3.a, body1.p, body1.a);
+	var j2 = this.computeJacobian(this.joint2, body4.p, body4.a, body2.p, body2.a);
+
+	// Jacobian
+	this.jv1 = j1.v2;
+	this.jw1 = j1.w2;
+	this.jv3 = j1.v1;
+	this.jw3 = j1.w1;
+	this.jv2 = vec2.scale(j2.v2, this.ratio);
+	this.jw2 = j2.w2 * this.ratio;
+	this.jv4 = vec2.scale(j2.v1, this.ratio);
+	this.jw4 = j2.w1 * this.ratio;
+
+	// invEM = J * invM * JT
+	var em_inv = 
+		body1.m_inv * this.jv1.dot(this.jv1) + body1.i_inv * this.jw1 * this.jw1 + 
+		body2.m_inv * this.jv2.dot(this.jv2) + body2.i_inv * this.jw2 * this.jw2 + 
+		body3.m_inv * this.jv3.dot(this.jv3) + body3.i_inv * this.jw3 * this.jw3 + 
+		body4.m_inv * this.jv4.dot(this.jv4) + body4.i_inv * this.jw4 * this.jw4;
+	this.em = em_inv == 0 ? 0 : 1 / em_inv;
+
+	if (warmStarting) {
+		// Apply cached constraint impulses
+		// V += JT * lambda * invM
+		this.applyImpulse(this.lambda_acc);
+	}
+	else {
+		this.lambda_acc = 0;
+	}
+}
+
+GearJoint.prototype.applyImpulse = function(lambda) {
+	var body1 = this.body1;
+	var body2 = this.body2;
+	var body3 = this.body3;
+	var body4 = this.body4;
+
+	body1.v.mad(this.jv1, lambda * body1.m_inv);
+	body1.w += this.jw1 * lambda * body1.i_inv;
+
+	body2.v.mad(this.jv2, lambda * body2.m_inv);
+	body2.w += this.jw2 * lambda * body2.i_inv;
+
+	body3.v.mad(this.jv3, lambda * body3.m_inv);
+	body3.w += this.jw3 * lambda * body3.i_inv;
+
+	body4.v.mad(this.jv4, lambda * body4.m_inv);
+	body4.w += this.jw4 * lambda * body4.i_inv;
+}
+
+GearJoint.prototype.solveVelocityConstraints = function() {
+	var body1 = this.body1;
+	var body2 = this.body2;
+	var body3 = this.body3;
+	var body4 = this.body4;
+
+	// Compute lambda for velocity constraint
+	// Solve J * invM * JT * lambda = -(J * V)
+	var cdot = 
+		this.jv1.dot(body1.v) + this.jw1 * body1.w + 
+		this.jv2.dot(body2.v) + this.jw2 * body2.w + 
+		this.jv3.dot(body3.v) + this.jw3 * body3.w + 
+		this.jv4.dot(body4.v) + this.jw4 * body4.w;
+	var lambda = -this.em * cdot;
+
+	// Accumulate lambda
+	this.lambda_acc += lambda;
+
+	// Apply constraint impulses
+	// V += JT * lambda * invM
+	this.applyImpulse(lambda);
+}
+
+GearJoint.prototype.solvePositionConstraints = function() {
+	var body1 = this.body1;
+	var body2 = this.body2;
+	var body3 = this.body3;
+	var body4 = this.body4;
+
+	var j1 = this.computeJacobian(this.joint1, body3.p, body3.a, body1.p, body1.a);
+	var j2 = this.computeJacobian(this.joint2, body4.p, body4.a, body2.p, body2.a);
+
+	var jv2 = vec2.scale(j2.v2, this.ratio);
+	var jw2 = j2.w2 * this.ratio;
+	var jv4 = vec2.scale(j2.v1, this.ratio);
+	var jw4 = j2.w1 * this.ratio;
+
+	// Position constraint
+	var c = j1.c + this.ratio * j2.c - this.constant;
+
+	// Compute lambda for correction
+	// Solve J * invM * JT * lambda = -C / dt
+	var em_inv = 
+		body1.m_inv * j1.v2.dot(j1.v2) + body1.i_inv * j1.w2 * j1.w2 + 
+		body2.m_inv * jv2.dot(jv2) + body2.i_inv * jw2 * jw2 + 
+		body3.m_inv * j1.v1.dot(j1.v1) + body3.i_inv * j1.w1 * j1.w1 + 
+		body4.m_inv * jv4.dot(jv4) + body4.i_inv * jw4 * jw4;
+	var lambda_dt = em_inv == 0 ? 0 : -c / em_inv;
+
+	// Apply constraint impulses
+	// impulse = JT * lambda
+	// X += impulse * invM * dt
+	body1.p.mad(j1.v2, lambda_dt * body1.m_inv);
+	body1.a += j1.w2 * lambda_dt * body1.i_inv;
+
+	body2.p.mad(jv2, lambda_dt * body2.m_inv);
+	body2.a += jw2 * lambda_dt * body2.i_inv;
+
+	body3.p.mad(j1.v1, lambda_dt * body3.m_inv);
+	body3.a += j1.w1 * lambda_dt * body3.i_inv;
+
+	body4.p.mad(jv4, lambda_dt * body4.m_inv);
+	body4.a += jw4 * lambda_dt * body4.i_inv;
+
+	return Math.abs(c) < Joint.LINEAR_SLOP;
+}
+
+GearJoint.prototype.getReactionForce = function(dt_inv) {
+	return vec2.scale(this.jv1, this.lambda_acc * dt_inv);
+}
+
+GearJoint.prototype.getReactionTorque = function(dt_inv) {
+	return this.jw1 * this.lambda_acc * dt_inv;
+}
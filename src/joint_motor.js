@@ -0,0 +1,229 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+//-------------------------------------------------------------------------------------------------
+// Motor Joint
+//
+// Drives anchor2 to the linear offset from anchor1 (in body1's frame) and the relative angle to the angular offset.
+// The position errors are fed back to the velocity constraints by the correction factor.
+//
+// Point Constraint:
+// C1 = p2 - p1 - offset
+// C1dot = v2 + cross(w2, r2) - v1 - cross(w1, r1)
+// J1 = [ -I, skew(r1), I, -skew(r2) ]
+//
+// Angular Constraint:
+// C2 = a2 - a1 - angularOffset
+// C2dot = w2 - w1
+// J2 = [ 0, -1, 0, 1 ]
+//
+// impulse = JT * lambda = [ -lambda_xy, -(cross(r1, lambda_xy) + lambda_z), lambda_xy, cross(r2, lambda_xy) + lambda_z ]
+//-------------------------------------------------------------------------------------------------
+
+MotorJoint = function(body1, body2) {
+	Joint.call(this, Joint.TYPE_MOTOR, body1, body2, false);
+
+	// Local anchor points (body origins)
+	this.anchor1 = new vec2(0, 0);
+	this.anchor2 = new vec2(0, 0);
+
+	// Target position of anchor2 relative to anchor1 in body1's frame
+	this.linearOffset = this.body1.getLocalVector(vec2.sub(this.getWorldAnchor2(), this.getWorldAnchor1()));
+
+	// Target angle difference
+	this.angularOffset = body2.a - body1.a;
+
+	// Constraint force and torque limits (maxForce is kept for breaking the joint)
+	this.maxMotorForce = 1000;
+	this.maxTorque = 1000;
+
+	// Fraction of the position error to be corrected in a step
+	this.correctionFactor = 0.3;
+
+	// Accumulated lambda
+	this.lambda_acc = new vec2(0, 0);
+	this.angularLambda_acc = 0;
+}
+
+MotorJoint.prototype = new Joint;
+MotorJoint.prototype.constructor = MotorJoint;
+
+// Resting bodies are woken up to move to the new target
+MotorJoint.prototype.setLinearOffset = function(offset) {
+	this.linearOffset = offset.duplicate();
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+MotorJoint.prototype.setAngularOffset = function(angle) {
+	this.angularOffset = angle;
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+MotorJoint.prototype.setMaxMotorForce = function(force) {
+	this.maxMotorForce = force;
+}
+
+MotorJoint.prototype.setMaxTorque = function(torque) {
+	this.maxTorque = torque;
+}
+
+MotorJoint.prototype.setCorrectionFactor = function(factor) {
+	this.correctionFactor = Math.clamp(factor, 0, 1);
+}
+
+// World position where anchor2 is driven to
+MotorJoint.prototype.getWorldTarget = function() {
+	return vec2.add(this.getWorldAnchor1(), this.body1.getWorldVector(this.linearOffset));
+}
+
+MotorJoint.prototype.serialize = function() {
+	return {
+		"type": "MotorJoint",
+		"id": this.id,
+		"body1": this.body1.id,
+		"body2": this.body2.id,
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"linearOffset": this.linearOffset,
+		"angularOffset": this.angularOffset,
+		"maxMotorForce": this.maxMotorForce,
+		"maxTorque": this.maxTorque,
+		"correctionFactor": this.correctionFactor,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable
+	};
+}
+
+MotorJoint.prototype.initSolver = function(dt, warmStarting) {
+	var body1 = this.body1;
+	var body2 = this.body2;
+
+	// Max impulse
+	this.maxImpulse = this.maxMotorForce * dt;
+	this.maxAngularImpulse = this.maxTorque * dt;
+
+	// Transformed r1, r2
+	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body1.centroid));
+	this.r2 = body2.xf.rotate(vec2.sub(this.anchor2, body2.centroid));
+
+	// invEM = J1 * invM * J1T
+	var sum_m_inv = body1.m_inv + body2.m_inv;
+	var r1 = this.r1;
+	var r2 = this.r2;
+	var r1x_i = r1.x * body1.i_inv;
+	var r1y_i = r1.y * body1.i_inv;
+	var r2x_i = r2.x * body2.i_inv;
+	var r2y_i = r2.y * body2.i_inv;
+	var k11 = sum_m_inv + r1.y * r1y_i + r2.y * r2y_i;
+	var k12 = -r1.x * r1y_i - r2.x * r2y_i;
+	var k22 = sum_m_inv + r1.x * r1x_i + r2.x * r2x_i;
+	this.em_inv = new mat2(k11, k12, k12, k22);
+
+	// K2 = J2 * invM * J2T
+	var k33 = body1.i_inv + body2.i_inv;
+	this.em2 = k33 == 0 ? 0 : 1 / k33;
+
+	// Position errors to be corrected by the velocity constraints
+	// beta_c is divided by dt to get the velocity bias
+	var beta_dt = this.correctionFactor / dt;
+	var c1 = vec2.sub(vec2.add(body2.p, r2), vec2.add(body1.p, r1));
+	c1.subself(body1.xf.rotate(this.linearOffset));
+	this.beta_c1 = vec2.scale(c1, beta_dt);
+	this.beta_c2 = (body2.a - body1.a - this.angularOffset) * beta_dt;
+
+	if (warmStarting) {
+		// Apply cached constraint impulses
+		// V += JT * lambda * invM
+		var lambda_xy = this.lambda_acc;
+		var lambda_z = this.angularLambda_acc;
+
+		body1.v.mad(lambda_xy, -body1.m_inv);
+		body1.w -= (vec2.cross(this.r1, lambda_xy) + lambda_z) * body1.i_inv;
+
+		body2.v.mad(lambda_xy, body2.m_inv);
+		body2.w += (vec2.cross(this.r2, lambda_xy) + lambda_z) * body2.i_inv;
+	}
+	else {
+		this.lambda_acc.set(0, 0);
+		this.angularLambda_acc = 0;
+	}
+}
+
+MotorJoint.prototype.solveVelocityConstraints = function() {
+	var body1 = this.body1;
+	var body2 = this.body2;
+
+	// Solve angular constraint
+	// Compute lambda for velocity constraint
+	// Solve J2 * invM * J2T * lambda = -(J2 * V + beta * C2)
+	var cdot = body2.w - body1.w + this.beta_c2;
+	var lambda = -this.em2 * cdot;
+
+	// Accumulate lambda
+	var angularLambdaOld = this.angularLambda_acc;
+	this.angularLambda_acc = Math.clamp(this.angularLambda_acc + lambda, -this.maxAngularImpulse, this.maxAngularImpulse);
+	lambda = this.angularLambda_acc - angularLambdaOld;
+
+	// Apply constraint impulses
+	// V += J2T * lambda * invM
+	body1.w -= lambda * body1.i_inv;
+	body2.w += lambda * body2.i_inv;
+
+	// Solve point constraint
+	// Compute lambda for velocity constraint
+	// Solve J1 * invM * J1T * lambda = -(J1 * V + beta * C1)
+	// in 2D: cross(w, r) = perp(r) * w
+	var v1 = vec2.mad(body1.v, vec2.perp(this.r1), body1.w);
+	var v2 = vec2.mad(body2.v, vec2.perp(this.r2), body2.w);
+	var cdot = vec2.add(vec2.sub(v2, v1), this.beta_c1);
+	var lambda = this.em_inv.solve(cdot.neg());
+
+	// Accumulate lambda
+	var lambda_old = this.lambda_acc.duplicate();
+	this.lambda_acc.addself(lambda);
+	var lsq = this.lambda_acc.lengthsq();
+	if (lsq > this.maxImpulse * this.maxImpulse) {
+		this.lambda_acc.scale(this.maxImpulse / Math.sqrt(lsq));
+	}
+	lambda = vec2.sub(this.lambda_acc, lambda_old);
+
+	// Apply constraint impulses
+	// V += J1T * lambda * invM
+	body1.v.mad(lambda, -body1.m_inv);
+	body1.w -= vec2.cross(this.r1, lambda) * body1.i_inv;
+
+	body2.v.mad(lambda, body2.m_inv);
+	body2.w += vec2.cross(this.r2, lambda) * body2.i_inv;
+}
+
+MotorJoint.prototype.solvePositionConstraints = function() {
+	return true;
+}
+
+MotorJoint.prototype.getReactionForce = function(dt_inv) {
+	return vec2.scale(this.lambda_acc, dt_inv);
+}
+
+MotorJoint.prototype.getReactionTorque = function(dt_inv) {
+	return this.angularLambda_acc * dt_inv;
+}
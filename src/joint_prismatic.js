@@ -37,11 +37,21 @@
 // C2dot = w2 - w1
 // J2 = [ 0, -1, 0, 1 ]
 //
+// Translation Constraint (for translation limit and motor):
+// u = rperp(n) (axis)
+// C3 = dot(u, d)
+// C3dot = -dot(u, v1) - dot(cross(d + r1, u), w1) + dot(u, v2) + dot(cross(r2, u), w2)
+// J3 = [ -u, -a1, u, a2 ]
+// a1 = cross(r1 + d, u)
+// a2 = cross(r2, u)
+//
 // Block Jacobian Matrix:
 // J = [ -n, -s1, n, s2 ]
 //     [  0,  -1, 0,  1 ]
+//     [ -u, -a1, u, a2 ]
 //
-// impulse = JT * lambda = [ -n * lambda_x, -(s1 * lambda_x + lambda_y), n * lambda_x, s2 * lambda_x + lambda_y ]
+// impulse = JT * lambda = [ -(n * lambda_x + u * lambda_z), -(s1 * lambda_x + lambda_y + a1 * lambda_z),
+//                             n * lambda_x + u * lambda_z,    s2 * lambda_x + lambda_y + a2 * lambda_z ]
 //-------------------------------------------------------------------------------------------------
 
 PrismaticJoint = function(body1, body2, anchor1, anchor2) {
@@ -59,7 +69,19 @@ PrismaticJoint = function(body1, body2, anchor1, anchor2) {
 	this.da = body2.a - body1.a;
 
    	// Accumulated lambda
-	this.lambda_acc = new vec2(0, 0);
+	this.lambda_acc = new vec3(0, 0, 0);
+	this.motorLambda_acc = 0;
+
+	// Translation limit
+	this.limitEnabled = false;
+	this.limitLowerTranslation = 0;
+	this.limitUpperTranslation = 0;
+	this.limitState = Joint.LIMIT_STATE_INACTIVE;
+
+	// Motor
+	this.motorEnabled = false;
+	this.motorSpeed = 0;
+	this.maxMotorForce = 0;
 }
 
 PrismaticJoint.prototype = new Joint;
@@ -88,16 +110,71 @@ PrismaticJoint.prototype.setWorldAnchor2 = function(anchor2) {
 PrismaticJoint.prototype.serialize = function() {
 	return {
 		"type": "PrismaticJoint",
-		"body1": this.body1.id, 		
+		"id": this.id,
+		"body1": this.body1.id,
 		"body2": this.body2.id,
 		"anchor1": this.body1.getWorldPoint(this.anchor1),
-		"anchor2": this.body2.getWorldPoint(this.anchor2),		
+		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"localNormal": this.n_local,
+		"refAngle": this.da,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
-		"breakable": this.breakable
+		"breakable": this.breakable,
+		"limitEnabled": this.limitEnabled,
+		"limitLowerTranslation": this.limitLowerTranslation,
+		"limitUpperTranslation": this.limitUpperTranslation,
+		"motorEnabled": this.motorEnabled,
+		"motorSpeed": this.motorSpeed,
+		"maxMotorForce": this.maxMotorForce
 	};
 }
 
+// Resting bodies are woken up to follow the new motor and limits
+PrismaticJoint.prototype.enableMotor = function(flag) {
+	this.motorEnabled = flag;
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+// Linear speed (m/s) along the axis from anchor1 to anchor2
+PrismaticJoint.prototype.setMotorSpeed = function(speed) {
+	this.motorSpeed = speed;
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+PrismaticJoint.prototype.setMaxMotorForce = function(force) {
+	this.maxMotorForce = force;
+}
+
+PrismaticJoint.prototype.enableLimit = function(flag) {
+	this.limitEnabled = flag;
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+// Limits of the joint translation
+PrismaticJoint.prototype.setLimits = function(lower, upper) {
+	this.limitLowerTranslation = lower;
+	this.limitUpperTranslation = upper;
+
+	this.body1.awake(true);
+	this.body2.awake(true);
+}
+
+// Distance of anchor2 from anchor1 along the axis
+PrismaticJoint.prototype.getJointTranslation = function() {
+	var d = vec2.sub(this.getWorldAnchor2(), this.getWorldAnchor1());
+	var u = vec2.rperp(this.body1.getWorldVector(this.n_local));
+
+	return vec2.dot(u, d);
+}
+
 PrismaticJoint.prototype.initSolver = function(dt, warmStarting) {
 	var body1 = this.body1;
 	var body2 = this.body2;
@@ -105,6 +182,13 @@ PrismaticJoint.prototype.initSolver = function(dt, warmStarting) {
 	// Max impulse
 	this.maxImpulse = this.maxForce * dt;
 
+	if (!this.motorEnabled) {
+		this.motorLambda_acc = 0;
+	}
+	else {
+		this.maxMotorImpulse = this.maxMotorForce * dt;
+	}
+
 	// Transformed r1, r2
 	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body1.centroid));
 	this.r2 = body2.xf.rotate(vec2.sub(this.anchor2, body2.centroid));
@@ -119,37 +203,81 @@ PrismaticJoint.prototype.initSolver = function(dt, warmStarting) {
 	// r1 + d
 	this.r1_d = vec2.add(this.r1, d);
 
-	// World line normal
-	this.n = vec2.normalize(vec2.perp(d));
+	// World line normal and axis
+	this.n = vec2.rotate(this.n_local, body1.a);
+	this.u = vec2.rperp(this.n);
+
+	if (this.limitEnabled) {
+		var translation = vec2.dot(this.u, d);
+
+		if (Math.abs(this.limitUpperTranslation - this.limitLowerTranslation) < Joint.LINEAR_SLOP * 2) {
+			this.limitState = Joint.LIMIT_STATE_EQUAL_LIMITS;
+		}
+		else if (translation <= this.limitLowerTranslation) {
+			if (this.limitState != Joint.LIMIT_STATE_AT_LOWER) {
+				this.lambda_acc.z = 0;
+			}
+			this.limitState = Joint.LIMIT_STATE_AT_LOWER;
+		}
+		else if (translation >= this.limitUpperTranslation) {
+			if (this.limitState != Joint.LIMIT_STATE_AT_UPPER) {
+				this.lambda_acc.z = 0;
+			}
+			this.limitState = Joint.LIMIT_STATE_AT_UPPER;
+		}
+		else {
+			this.limitState = Joint.LIMIT_STATE_INACTIVE;
+			this.lambda_acc.z = 0;
+		}
+	}
+	else {
+		this.limitState = Joint.LIMIT_STATE_INACTIVE;
+		this.lambda_acc.z = 0;
+	}
 	
 	// s1, s2
 	this.s1 = vec2.cross(this.r1_d, this.n);
 	this.s2 = vec2.cross(this.r2, this.n);
+
+	// a1, a2
+	this.a1 = vec2.cross(this.r1_d, this.u);
+	this.a2 = vec2.cross(this.r2, this.u);
 	
 	// invEM = J * invM * JT
 	var s1 = this.s1;
 	var s2 = this.s2;
+	var a1 = this.a1;
+	var a2 = this.a2;
 	var s1_i = s1 * body1.i_inv;
 	var s2_i = s2 * body2.i_inv;
+	var a1_i = a1 * body1.i_inv;
+	var a2_i = a2 * body2.i_inv;
 	var k11 = body1.m_inv + body2.m_inv + s1 * s1_i + s2 * s2_i;
 	var k12 = s1_i + s2_i;
+	var k13 = s1 * a1_i + s2 * a2_i;
 	var k22 = body1.i_inv + body2.i_inv;
-	this.em_inv = new mat2(k11, k12, k12, k22);
+	var k23 = a1_i + a2_i;
+	var k33 = body1.m_inv + body2.m_inv + a1 * a1_i + a2 * a2_i;
+	this.em_inv = new mat3(k11, k12, k13, k12, k22, k23, k13, k23, k33);
+
+	// K3 = J3 * invM * J3T
+	this.em3 = k33 != 0 ? 1 / k33 : 0;
 	
 	if (warmStarting) {
-		// linearImpulse = JT * lambda
-		var impulse = vec2.scale(this.n, this.lambda_acc.x);
-
 		// Apply cached constraint impulses
 		// V += JT * lambda * invM
+		var lambda_z = this.lambda_acc.z + this.motorLambda_acc;
+		var impulse = vec2.add(vec2.scale(this.n, this.lambda_acc.x), vec2.scale(this.u, lambda_z));
+
 		body1.v.mad(impulse, -body1.m_inv);
-		body1.w -= (this.s1 * this.lambda_acc.x + this.lambda_acc.y) * body1.i_inv;
+		body1.w -= (this.s1 * this.lambda_acc.x + this.lambda_acc.y + this.a1 * lambda_z) * body1.i_inv;
 
 		body2.v.mad(impulse, body2.m_inv);
-		body2.w += (this.s2 * this.lambda_acc.x + this.lambda_acc.y) * body2.i_inv;
+		body2.w += (this.s2 * this.lambda_acc.x + this.lambda_acc.y + this.a2 * lambda_z) * body2.i_inv;
 	}
 	else {
-		this.lambda_acc.set(0, 0);
+		this.lambda_acc.set(0, 0, 0);
+		this.motorLambda_acc = 0;
 	}
 }
 
@@ -157,25 +285,89 @@ PrismaticJoint.prototype.solveVelocityConstraints = function() {
 	var body1 = this.body1;
 	var body2 = this.body2;
 
-	// Compute lambda for velocity constraint	
-	// Solve J * invM * JT * lambda = -J * V
-	var cdot1 = this.n.dot(vec2.sub(body2.v, body1.v)) + this.s2 * body2.w - this.s1 * body1.w;
-	var cdot2 = body2.w - body1.w;
-	var lambda = this.em_inv.solve(new vec2(-cdot1, -cdot2));
+	// Solve motor constraint
+	if (this.motorEnabled && this.limitState != Joint.LIMIT_STATE_EQUAL_LIMITS) {
+		// Compute motor impulse
+		var cdot = this.u.dot(vec2.sub(body2.v, body1.v)) + this.a2 * body2.w - this.a1 * body1.w - this.motorSpeed;
+		var lambda = -this.em3 * cdot;
+		var motorLambdaOld = this.motorLambda_acc;
+		this.motorLambda_acc = Math.clamp(this.motorLambda_acc + lambda, -this.maxMotorImpulse, this.maxMotorImpulse);
+		lambda = this.motorLambda_acc - motorLambdaOld;
 
-	// Accumulate lambda
-	this.lambda_acc.addself(lambda);
+		// Apply motor constraint impulses
+		var impulse = vec2.scale(this.u, lambda);
+
+		body1.v.mad(impulse, -body1.m_inv);
+		body1.w -= this.a1 * lambda * body1.i_inv;
+
+		body2.v.mad(impulse, body2.m_inv);
+		body2.w += this.a2 * lambda * body2.i_inv;
+	}
+
+	var dv = vec2.sub(body2.v, body1.v);
+	var cdot1 = new vec2(this.n.dot(dv) + this.s2 * body2.w - this.s1 * body1.w, body2.w - body1.w);
+
+	// Solve linear & angular constraint with translation limit
+	if (this.limitEnabled && this.limitState != Joint.LIMIT_STATE_INACTIVE) {
+		// Compute lambda for velocity constraint
+		// Solve J * invM * JT * lambda = -J * V
+		var cdot2 = this.u.dot(dv) + this.a2 * body2.w - this.a1 * body1.w;
+		var cdot = vec3.fromVec2(cdot1, cdot2);
+		var lambda = this.em_inv.solve(cdot.neg());
+
+		if (this.limitState == Joint.LIMIT_STATE_EQUAL_LIMITS) {
+			// Accumulate lambda
+			this.lambda_acc.addself(lambda);
+		}
+		else if (this.limitState == Joint.LIMIT_STATE_AT_LOWER || this.limitState == Joint.LIMIT_STATE_AT_UPPER) {
+			// Accumulated new lambda.z
+			var newLambda_z = this.lambda_acc.z + lambda.z;
+
+			var lowerLimited = this.limitState == Joint.LIMIT_STATE_AT_LOWER && newLambda_z < 0;
+			var upperLimited = this.limitState == Joint.LIMIT_STATE_AT_UPPER && newLambda_z > 0;
+
+			if (lowerLimited || upperLimited) {
+				// Modify last equation to get lambda_acc.z to 0
+				// That is, lambda.z have to be equal -lambda_acc.z
+				// rhs = -J * V - (K_13, K_23) * lambda.z
+				// Solve J * invM * JT * reduced_lambda = rhs
+				var rhs = vec2.sub(cdot1, vec2.scale(new vec2(this.em_inv._13, this.em_inv._23), this.lambda_acc.z));
+				var reduced = this.em_inv.solve2x2(rhs.neg());
+				lambda.x = reduced.x;
+				lambda.y = reduced.y;
+				lambda.z = -this.lambda_acc.z;
+
+				// Accumulate lambda
+				this.lambda_acc.x += lambda.x;
+				this.lambda_acc.y += lambda.y;
+				this.lambda_acc.z = 0;
+			}
+			else {
+				// Accumulate lambda
+				this.lambda_acc.addself(lambda);
+			}
+		}
+	}
+	// Solve linear & angular constraint
+	else {
+		// Compute lambda for velocity constraint	
+		// Solve J * invM * JT * lambda = -J * V
+		var lambda = vec3.fromVec2(this.em_inv.solve2x2(cdot1.neg()), 0);
+
+		// Accumulate lambda
+		this.lambda_acc.addself(lambda);
+	}
 
 	// linearImpulse = JT * lambda
-	var impulse = vec2.scale(this.n, lambda.x);
+	var impulse = vec2.add(vec2.scale(this.n, lambda.x), vec2.scale(this.u, lambda.z));
 
 	// Apply constraint impulses
 	// V += JT * lambda * invM
 	body1.v.mad(impulse, -body1.m_inv);
-	body1.w -= (this.s1 * lambda.x + lambda.y) * body1.i_inv;
+	body1.w -= (this.s1 * lambda.x + lambda.y + this.a1 * lambda.z) * body1.i_inv;
 
 	body2.v.mad(impulse, body2.m_inv);
-	body2.w += (this.s2 * lambda.x + lambda.y) * body2.i_inv;
+	body2.w += (this.s2 * lambda.x + lambda.y + this.a2 * lambda.z) * body2.i_inv;
 }
 
 PrismaticJoint.prototype.solvePositionConstraints = function() {
@@ -196,32 +388,78 @@ PrismaticJoint.prototype.solvePositionConstraints = function() {
 	// r1 + d
 	var r1_d = vec2.add(r1, d);
 
-	// World line normal
+	// World line normal and axis
 	var n = vec2.rotate(this.n_local, body1.a);
+	var u = vec2.rperp(n);
 
 	// Position constraint
 	var c1 = vec2.dot(n, d);
 	var c2 = body2.a - body1.a - this.da;
-	var correction = new vec2;
+	var correction = new vec3;
 	correction.x = Math.clamp(c1, -Joint.MAX_LINEAR_CORRECTION, Joint.MAX_LINEAR_CORRECTION);
 	correction.y = Math.clamp(c2, -Joint.MAX_ANGULAR_CORRECTION, Joint.MAX_ANGULAR_CORRECTION);
 
+	var linearError = Math.abs(c1);
+	var angularError = Math.abs(c2);
+
+	// Translation limit constraint with the current translation
+	var limitActive = false;
+	if (this.limitEnabled) {
+		var translation = vec2.dot(u, d);
+
+		if (Math.abs(this.limitUpperTranslation - this.limitLowerTranslation) < Joint.LINEAR_SLOP * 2) {
+			var c = translation - this.limitLowerTranslation;
+
+			linearError = Math.max(linearError, Math.abs(c));
+			correction.z = Math.clamp(c, -Joint.MAX_LINEAR_CORRECTION, Joint.MAX_LINEAR_CORRECTION);
+			limitActive = true;
+		}
+		else if (translation <= this.limitLowerTranslation) {
+			var c = translation - this.limitLowerTranslation;
+
+			linearError = Math.max(linearError, -c);
+			correction.z = Math.clamp(c + Joint.LINEAR_SLOP, -Joint.MAX_LINEAR_CORRECTION, 0);
+			limitActive = true;
+		}
+		else if (translation >= this.limitUpperTranslation) {
+			var c = translation - this.limitUpperTranslation;
+
+			linearError = Math.max(linearError, c);
+			correction.z = Math.clamp(c - Joint.LINEAR_SLOP, 0, Joint.MAX_LINEAR_CORRECTION);
+			limitActive = true;
+		}
+	}
+
 	// Compute impulse for position constraint
 	// Solve J * invM * JT * lambda = -C / dt
 	var s1 = vec2.cross(r1_d, n);
 	var s2 = vec2.cross(r2, n);
+	var a1 = vec2.cross(r1_d, u);
+	var a2 = vec2.cross(r2, u);
 	var s1_i = s1 * body1.i_inv;
 	var s2_i = s2 * body2.i_inv;
+	var a1_i = a1 * body1.i_inv;
+	var a2_i = a2 * body2.i_inv;
 	var k11 = body1.m_inv + body2.m_inv + s1 * s1_i + s2 * s2_i;
 	var k12 = s1_i + s2_i;
+	var k13 = s1 * a1_i + s2 * a2_i;
 	var k22 = body1.i_inv + body2.i_inv;
-	var em_inv = new mat2(k11, k12, k12, k22);
-	var lambda_dt = em_inv.solve(correction.neg());
+	var k23 = a1_i + a2_i;
+	var k33 = body1.m_inv + body2.m_inv + a1 * a1_i + a2 * a2_i;
+	var em_inv = new mat3(k11, k12, k13, k12, k22, k23, k13, k23, k33);
+	var lambda_dt;
+
+	if (limitActive) {
+		lambda_dt = em_inv.solve(correction.neg());
+	}
+	else {
+		lambda_dt = vec3.fromVec2(em_inv.solve2x2(new vec2(-correction.x, -correction.y)), 0);
+	}
 
 	// Apply constarint impulses
 	// impulse = JT * lambda
 	// X += impulse * invM * dt
-	var impulse_dt = vec2.scale(n, lambda_dt.x);
+	var impulse_dt = vec2.add(vec2.scale(n, lambda_dt.x), vec2.scale(u, lambda_dt.z));
 
 	body1.p.mad(impulse_dt, -body1.m_inv);
 	body1.a -= (vec2.cross(r1_d, impulse_dt) + lambda_dt.y) * body1.i_inv;
@@ -229,13 +467,14 @@ PrismaticJoint.prototype.solvePositionConstraints = function() {
 	body2.p.mad(impulse_dt, body2.m_inv);
 	body2.a += (vec2.cross(r2, impulse_dt) + lambda_dt.y) * body2.i_inv;
 
-	return Math.abs(c1) <= Joint.LINEAR_SLOP && Math.abs(c2) <= Joint.ANGULAR_SLOP;
+	return linearError <= Joint.LINEAR_SLOP && angularError <= Joint.ANGULAR_SLOP;
 }
 
 PrismaticJoint.prototype.getReactionForce = function(dt_inv) {
-	return vec2.scale(this.n, this.lambda_acc.x * dt_inv);
+	var lambda_z = this.lambda_acc.z + this.motorLambda_acc;
+	return vec2.add(vec2.scale(this.n, this.lambda_acc.x), vec2.scale(this.u, lambda_z)).scale(dt_inv);
 }
 
 PrismaticJoint.prototype.getReactionTorque = function(dt_inv) {
 	return this.lambda_acc.y * dt_inv;
-}
\ No newline at end of file
+}
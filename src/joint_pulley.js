@@ -0,0 +1,241 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//-------------------------------------------------------------------------------------------------
+// Pulley Joint
+//
+// Rope runs from the anchor of body1 over the ground anchor1 and ground anchor2 to the anchor of body2.
+//
+// d1 = p1 - g1, d2 = p2 - g2
+// u1 = d1 / norm(d1), u2 = d2 / norm(d2)
+// C = l - norm(d1) - ratio * norm(d2)
+// Cdot = -dot(u1, v1 + cross(w1, r1)) - ratio * dot(u2, v2 + cross(w2, r2))
+//      = -dot(u1, v1) - dot(w1, cross(r1, u1)) - ratio * dot(u2, v2) - ratio * dot(w2, cross(r2, u2))
+// J = [ -u1, -cross(r1, u1), -ratio * u2, -ratio * cross(r2, u2) ]
+//
+// impulse = JT * lambda = [ -u1 * lambda, -cross(r1, u1) * lambda, -ratio * u2 * lambda, -ratio * cross(r2, u2) * lambda ]
+//-------------------------------------------------------------------------------------------------
+
+PulleyJoint = function(body1, body2, groundAnchor1, groundAnchor2, anchor1, anchor2, ratio) {
+	Joint.call(this, Joint.TYPE_PULLEY, body1, body2, true);
+
+	// World ground anchor points
+	this.groundAnchor1 = groundAnchor1.duplicate();
+	this.groundAnchor2 = groundAnchor2.duplicate();
+
+	// Local anchor points
+	this.anchor1 = this.body1.getLocalPoint(anchor1);
+	this.anchor2 = this.body2.getLocalPoint(anchor2);
+
+	// Rope length of side2 changes ratio times faster than side1
+	this.ratio = ratio || 1;
+
+	// Total rope length (length1 + ratio * length2)
+	this.totalLength = this.getCurrentLength();
+
+	// Accumulated impulse
+	this.lambda_acc = 0;
+}
+
+PulleyJoint.prototype = new Joint;
+PulleyJoint.prototype.constructor = PulleyJoint;
+
+PulleyJoint.prototype.setWorldAnchor1 = function(anchor1) {
+	this.anchor1 = this.body1.getLocalPoint(anchor1);
+
+	this.totalLength = this.getCurrentLength();
+}
+
+PulleyJoint.prototype.setWorldAnchor2 = function(anchor2) {
+	this.anchor2 = this.body2.getLocalPoint(anchor2);
+
+	this.totalLength = this.getCurrentLength();
+}
+
+PulleyJoint.prototype.setGroundAnchor1 = function(groundAnchor1) {
+	this.groundAnchor1 = groundAnchor1.duplicate();
+
+	this.totalLength = this.getCurrentLength();
+}
+
+PulleyJoint.prototype.setGroundAnchor2 = function(groundAnchor2) {
+	this.groundAnchor2 = groundAnchor2.duplicate();
+
+	this.totalLength = this.getCurrentLength();
+}
+
+PulleyJoint.prototype.setRatio = function(ratio) {
+	this.ratio = ratio;
+
+	this.totalLength = this.getCurrentLength();
+}
+
+PulleyJoint.prototype.getLength1 = function() {
+	return vec2.dist(this.getWorldAnchor1(), this.groundAnchor1);
+}
+
+PulleyJoint.prototype.getLength2 = function() {
+	return vec2.dist(this.getWorldAnchor2(), this.groundAnchor2);
+}
+
+PulleyJoint.prototype.getCurrentLength = function() {
+	return this.getLength1() + this.ratio * this.getLength2();
+}
+
+PulleyJoint.prototype.serialize = function() {
+	return {
+		"type": "PulleyJoint",
+		"id": this.id,
+		"body1": this.body1.id,
+		"body2": this.body2.id,
+		"groundAnchor1": this.groundAnchor1,
+		"groundAnchor2": this.groundAnchor2,
+		"anchor1": this.body1.getWorldPoint(this.anchor1),
+		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"ratio": this.ratio,
+		"totalLength": this.totalLength,
+		"collideConnected": this.collideConnected,
+		"maxForce": this.maxForce,
+		"breakable": this.breakable
+	};
+}
+
+PulleyJoint.prototype.initSolver = function(dt, warmStarting) {
+	var body1 = this.body1;
+	var body2 = this.body2;
+
+	// Max impulse
+	this.maxImpulse = this.maxForce * dt;
+
+	// Transformed r1, r2
+	this.r1 = body1.xf.rotate(vec2.sub(this.anchor1, body1.centroid));
+	this.r2 = body2.xf.rotate(vec2.sub(this.anchor2, body2.centroid));
+
+	// Delta vectors from ground anchors to world anchors
+	var d1 = vec2.sub(vec2.add(body1.p, this.r1), this.groundAnchor1);
+	var d2 = vec2.sub(vec2.add(body2.p, this.r2), this.groundAnchor2);
+
+	var length1 = d1.length();
+	var length2 = d2.length();
+
+	// Unit delta vectors
+	this.u1 = length1 > Joint.LINEAR_SLOP ? vec2.scale(d1, 1 / length1) : vec2.zero;
+	this.u2 = length2 > Joint.LINEAR_SLOP ? vec2.scale(d2, 1 / length2) : vec2.zero;
+
+	// s1, s2
+	this.s1 = vec2.cross(this.r1, this.u1);
+	this.s2 = vec2.cross(this.r2, this.u2);
+
+	// invEM = J * invM * JT
+	var em_inv = body1.m_inv + body1.i_inv * this.s1 * this.s1 + 
+		this.ratio * this.ratio * (body2.m_inv + body2.i_inv * this.s2 * this.s2);
+	this.em = em_inv == 0 ? 0 : 1 / em_inv;
+
+	if (warmStarting) {
+		// Apply cached constraint impulses
+		// V += JT * lambda * invM
+		var lambda2 = this.ratio * this.lambda_acc;
+
+		body1.v.mad(this.u1, -this.lambda_acc * body1.m_inv);
+		body1.w -= this.s1 * this.lambda_acc * body1.i_inv;
+
+		body2.v.mad(this.u2, -lambda2 * body2.m_inv);
+		body2.w -= this.s2 * lambda2 * body2.i_inv;
+	}
+	else {
+		this.lambda_acc = 0;
+	}
+}
+
+PulleyJoint.prototype.solveVelocityConstraints = function() {
+	var body1 = this.body1;
+	var body2 = this.body2;
+
+	// Compute lambda for velocity constraint
+	// Solve J * invM * JT * lambda = -(J * V)
+	var cdot = -this.u1.dot(body1.v) - this.s1 * body1.w - this.ratio * (this.u2.dot(body2.v) + this.s2 * body2.w);
+	var lambda = -this.em * cdot;
+
+	// Accumulate lambda
+	this.lambda_acc += lambda;
+
+	// Apply constraint impulses
+	// V += JT * lambda * invM
+	var lambda2 = this.ratio * lambda;
+
+	body1.v.mad(this.u1, -lambda * body1.m_inv);
+	body1.w -= this.s1 * lambda * body1.i_inv;
+
+	body2.v.mad(this.u2, -lambda2 * body2.m_inv);
+	body2.w -= this.s2 * lambda2 * body2.i_inv;
+}
+
+PulleyJoint.prototype.solvePositionConstraints = function() {
+	var body1 = this.body1;
+	var body2 = this.body2;
+
+	// Transformed r1, r2
+	var r1 = vec2.rotate(vec2.sub(this.anchor1, body1.centroid), body1.a);
+	var r2 = vec2.rotate(vec2.sub(this.anchor2, body2.centroid), body2.a);
+
+	// Delta vectors from ground anchors to world anchors
+	var d1 = vec2.sub(vec2.add(body1.p, r1), this.groundAnchor1);
+	var d2 = vec2.sub(vec2.add(body2.p, r2), this.groundAnchor2);
+
+	var length1 = d1.length();
+	var length2 = d2.length();
+
+	// Unit delta vectors
+	var u1 = length1 > Joint.LINEAR_SLOP ? vec2.scale(d1, 1 / length1) : vec2.zero;
+	var u2 = length2 > Joint.LINEAR_SLOP ? vec2.scale(d2, 1 / length2) : vec2.zero;
+
+	// Position constraint
+	var c = this.totalLength - length1 - this.ratio * length2;
+	var correction = Math.clamp(c, -Joint.MAX_LINEAR_CORRECTION, Joint.MAX_LINEAR_CORRECTION);
+
+	// Compute lambda for correction
+	// Solve J * invM * JT * lambda = -C / dt
+	var s1 = vec2.cross(r1, u1);
+	var s2 = vec2.cross(r2, u2);
+	var em_inv = body1.m_inv + body1.i_inv * s1 * s1 + this.ratio * this.ratio * (body2.m_inv + body2.i_inv * s2 * s2);
+	var lambda_dt = em_inv == 0 ? 0 : -correction / em_inv;
+
+	// Apply constraint impulses
+	// impulse = JT * lambda
+	// X += impulse * invM * dt
+	var lambda2_dt = this.ratio * lambda_dt;
+
+	body1.p.mad(u1, -lambda_dt * body1.m_inv);
+	body1.a -= s1 * lambda_dt * body1.i_inv;
+
+	body2.p.mad(u2, -lambda2_dt * body2.m_inv);
+	body2.a -= s2 * lambda2_dt * body2.i_inv;
+
+	return Math.abs(c) < Joint.LINEAR_SLOP;
+}
+
+PulleyJoint.prototype.getReactionForce = function(dt_inv) {
+	return vec2.scale(this.u2, -this.ratio * this.lambda_acc * dt_inv);
+}
+
+PulleyJoint.prototype.getReactionTorque = function(dt_inv) {
+	return 0;
+}
@@ -79,9 +79,13 @@ RevoluteJoint.prototype.setWorldAnchor2 = function(anchor2) {
 RevoluteJoint.prototype.serialize = function() {
 	return {
 		"type": "RevoluteJoint",
+		"id": this.id,
 		"body1": this.body1.id,
 		"body2": this.body2.id,
 		"anchor": this.body1.getWorldPoint(this.anchor1),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"refAngle": this.refAngle,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
 		"breakable": this.breakable,
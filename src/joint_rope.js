@@ -63,13 +63,17 @@ RopeJoint.prototype.setWorldAnchor2 = function(anchor2) {
 RopeJoint.prototype.serialize = function() {
 	return {
 		"type": "RopeJoint",
+		"id": this.id,
 		"body1": this.body1.id,
 		"body2": this.body2.id,
 		"anchor1": this.body1.getWorldPoint(this.anchor1),
 		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"maxDistance": this.maxDistance,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
-		"breakable": this.breakable,	
+		"breakable": this.breakable
 	};
 }
 
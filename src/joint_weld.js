@@ -72,15 +72,17 @@ WeldJoint.prototype.setWorldAnchor2 = function(anchor2) {
 WeldJoint.prototype.serialize = function() {
 	return {
 		"type": "WeldJoint",
-		"body1": this.body1.id, 
+		"id": this.id,
+		"body1": this.body1.id,
 		"body2": this.body2.id,
-		"anchor1": this.body1.getWorldPoint(this.anchor1),
-		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"anchor": this.body1.getWorldPoint(this.anchor1),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
 		"breakable": this.breakable,
 		"frequencyHz": this.frequencyHz,
-		"dampingRatio": this.dampingRatio	
+		"dampingRatio": this.dampingRatio
 	};
 }
 
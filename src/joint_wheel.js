@@ -108,10 +108,15 @@ WheelJoint.prototype.setWorldAnchor2 = function(anchor2) {
 WheelJoint.prototype.serialize = function() {
 	return {
 		"type": "WheelJoint",
-		"body1": this.body1.id, 
+		"id": this.id,
+		"body1": this.body1.id,
 		"body2": this.body2.id,
 		"anchor1": this.body1.getWorldPoint(this.anchor1),
 		"anchor2": this.body2.getWorldPoint(this.anchor2),
+		"localAnchor1": this.anchor1,
+		"localAnchor2": this.anchor2,
+		"localAxis": this.u_local,
+		"restLength": this.restLength,
 		"collideConnected": this.collideConnected,
 		"maxForce": this.maxForce,
 		"breakable": this.breakable,
@@ -119,7 +124,7 @@ WheelJoint.prototype.serialize = function() {
 		"motorSpeed": this.motorSpeed,
 		"maxMotorTorque": this.maxMotorTorque,
 		"frequencyHz": this.frequencyHz,
-		"dampingRatio": this.dampingRatio	
+		"dampingRatio": this.dampingRatio
 	};
 }
 
@@ -702,6 +702,27 @@ Transform.prototype.untransform = function(v) {
 	return new vec2(px * this.c + py * this.s, -px * this.s + py * this.c);
 }
 
+//-----------------------------------
+// Sweep (motion of body during a time step)
+//-----------------------------------
+
+// centroid: local center of mass
+// p0, a0: world centroid position and angle at the beginning
+// p1, a1: world centroid position and angle at the end
+Sweep = function(centroid, p0, a0, p1, a1) {
+	this.centroid = centroid.duplicate();
+	this.p0 = p0.duplicate();
+	this.a0 = a0;
+	this.p1 = p1.duplicate();
+	this.a1 = a1;
+}
+
+Sweep.prototype.getTransform = function(xf, t) {
+	xf.setRotation(this.a0 + (this.a1 - this.a0) * t);
+	xf.setPosition(vec2.sub(vec2.lerp(this.p0, this.p1, t), xf.rotate(this.centroid)));
+	return xf;
+}
+
 //-----------------------------------
 // 2D AABB
 //-----------------------------------
@@ -746,7 +767,7 @@ Bounds.prototype.getExtent = function() {
 }
 
 Bounds.prototype.getPerimeter = function() {
-	return (maxs.x - mins.x + maxs.y - mins.y) * 2;
+	return (this.maxs.x - this.mins.x + this.maxs.y - this.mins.y) * 2;
 }
 
 Bounds.prototype.addPoint = function(p) {
@@ -795,6 +816,12 @@ Bounds.prototype.containPoint = function(p) {
 	return true;
 }
 
+Bounds.prototype.containBounds = function(b) {
+	if (b.mins.x < this.mins.x || b.maxs.x > this.maxs.x || b.mins.y < this.mins.y || b.maxs.y > this.maxs.y)
+		return false;
+	return true;
+}
+
 Bounds.prototype.intersectsBounds = function(b) {
 	if (this.mins.x > b.maxs.x || this.maxs.x < b.mins.x || this.mins.y > b.maxs.y || this.maxs.y < b.mins.y)
 		return false;
@@ -314,6 +314,42 @@ RendererCanvas = function() {
 		}
 	}
 
+	// Polygon expanded by the radius with the rounded corners
+	function drawRoundedPolygon(ctx, verts, radius, lineWidth, strokeStyle, fillStyle) {
+		var numVerts = verts.length;
+
+		ctx.beginPath();
+
+		// Flipped canvas space reverses the winding of verts
+		var sign = areaForPoly(verts) < 0 ? -1 : 1;
+
+		for (var i = 0; i < numVerts; i++) {
+			var v0 = verts[(i + numVerts - 1) % numVerts];
+			var v1 = verts[i];
+			var v2 = verts[(i + 1) % numVerts];
+			var n1 = vec2.scale(vec2.normalize(vec2.rperp(vec2.sub(v1, v0))), sign);
+			var n2 = vec2.scale(vec2.normalize(vec2.rperp(vec2.sub(v2, v1))), sign);
+			var start_angle = n1.toAngle();
+			var angle = Math.atan2(vec2.cross(n1, n2), vec2.dot(n1, n2));
+
+			// Line to the start of each arc draws the offset edge
+			ctx.arc(v1.x, v1.y, radius, start_angle, start_angle + angle, angle < 0);
+		}
+
+		ctx.closePath();
+
+		if (fillStyle) {			
+			ctx.fillStyle = fillStyle;
+			ctx.fill();
+		}
+
+		if (strokeStyle) {
+			ctx.lineWidth = lineWidth;
+			ctx.strokeStyle = strokeStyle;
+			ctx.stroke();
+		}
+	}
+
 	return {
 		scissorRect: scissorRect,
 		drawLine: drawLine,
@@ -324,6 +360,7 @@ RendererCanvas = function() {
 		drawCircle: drawCircle,
 		drawArc: drawArc,
 		drawSegment: drawSegment,
-		drawPolygon: drawPolygon
+		drawPolygon: drawPolygon,
+		drawRoundedPolygon: drawRoundedPolygon
 	}
 }();
@@ -0,0 +1,580 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//------------------------------------------
+// Box2D JSON scene (RUBE format) import/export
+//
+// Box2D bodies, fixtures and joints are mapped onto Body, Shape* and *Joint.
+// Features which can't be represented are skipped or approximated,
+// and reported as warning strings.
+//------------------------------------------
+
+var box2dScene = {};
+
+(function() {
+	var BODY_TYPES = [Body.STATIC, Body.KINETIC, Body.DYNAMIC];
+
+	// Box2D limit for polygon vertices
+	var MAX_POLYGON_VERTICES = 8;
+
+	// Floats may be written as hex strings of IEEE 754 bits
+	function readFloat(value, defaultValue) {
+		if (value == undefined) {
+			return defaultValue || 0;
+		}
+
+		if (typeof value == "string") {
+			var bits = new Uint32Array(1);
+			bits[0] = parseInt(value, 16);
+			return new Float32Array(bits.buffer)[0];
+		}
+
+		return value;
+	}
+
+	// Zero vector may be written as 0
+	function readVec2(value) {
+		if (!value) {
+			return new vec2(0, 0);
+		}
+
+		return new vec2(readFloat(value.x), readFloat(value.y));
+	}
+
+	function readVertices(value) {
+		var verts = [];
+		for (var i = 0; i < value.x.length; i++) {
+			verts.push(new vec2(readFloat(value.x[i]), readFloat(value.y[i])));
+		}
+
+		return verts;
+	}
+
+	function writeVec2(v) {
+		return { "x": v.x, "y": v.y };
+	}
+
+	function writeVertices(verts) {
+		var value = { "x": [], "y": [] };
+		for (var i = 0; i < verts.length; i++) {
+			value.x.push(verts[i].x);
+			value.y.push(verts[i].y);
+		}
+
+		return value;
+	}
+
+	function importShapes(config_fixture, entity, warnings) {
+		var shapeArr = [];
+
+		if (config_fixture.circle) {
+			var c = readVec2(config_fixture.circle.center);
+			shapeArr.push(new ShapeCircle(c.x, c.y, readFloat(config_fixture.circle.radius)));
+		}
+		else if (config_fixture.polygon) {
+			shapeArr.push(new ShapePoly(readVertices(config_fixture.polygon.vertices)));
+		}
+		else if (config_fixture.edge) {
+			shapeArr.push(new ShapeSegment(readVec2(config_fixture.edge.vertex1), readVec2(config_fixture.edge.vertex2), 0));
+
+			if (config_fixture.edge.hasVertex0 || config_fixture.edge.hasVertex3) {
+				warnings.push(entity + ": ghost vertices of edge are not supported");
+			}
+		}
+		else if (config_fixture.chain) {
+			// Loop is written with the first vertex repeated at the end
+			var verts = readVertices(config_fixture.chain.vertices);
+			var loop = verts.length > 3 && vec2.distsq(verts[0], verts[verts.length - 1]) == 0;
+			if (loop) {
+				verts.pop();
+			}
+
+			shapeArr.push(new ShapeChain(verts, loop));
+
+			if (config_fixture.chain.hasPrevVertex || config_fixture.chain.hasNextVertex) {
+				warnings.push(entity + ": ghost vertices at the ends of chain are not supported");
+			}
+		}
+		else {
+			warnings.push(entity + ": unknown fixture shape is skipped");
+		}
+
+		for (var i = 0; i < shapeArr.length; i++) {
+			var shape = shapeArr[i];
+			shape.e = readFloat(config_fixture.restitution);
+			shape.u = readFloat(config_fixture.friction);
+			shape.density = readFloat(config_fixture.density);
+			shape.isSensor = config_fixture.sensor || false;
+			shape.categoryBits = config_fixture["filter-categoryBits"] != undefined ? config_fixture["filter-categoryBits"] : 0x0001;
+			shape.maskBits = config_fixture["filter-maskBits"] != undefined ? config_fixture["filter-maskBits"] : 0xFFFF;
+			shape.groupIndex = config_fixture["filter-groupIndex"] || 0;
+		}
+
+		return shapeArr;
+	}
+
+	function importBody(config_body, index, warnings) {
+		var entity = "body '" + (config_body.name || index) + "'";
+		var type = BODY_TYPES[config_body.type || 0];
+		var body = new Body(type, readVec2(config_body.position), readFloat(config_body.angle));
+
+		if (config_body.name != undefined) {
+			body.name = config_body.name;
+		}
+
+		var fixtures = config_body.fixture || [];
+		for (var i = 0; i < fixtures.length; i++) {
+			var config_fixture = fixtures[i];
+			var fixtureEntity = entity + " fixture '" + (config_fixture.name || i) + "'";
+			var shapeArr = importShapes(config_fixture, fixtureEntity, warnings);
+
+			for (var j = 0; j < shapeArr.length; j++) {
+				body.addShape(shapeArr[j]);
+			}
+		}
+
+		body.linearDamping = readFloat(config_body.linearDamping);
+		body.angularDamping = readFloat(config_body.angularDamping);
+		body.fixedRotation = config_body.fixedRotation || false;
+		body.bullet = config_body.bullet || false;
+
+		var mass = 0;
+		for (var i = 0; i < body.shapeArr.length; i++) {
+			mass += body.shapeArr[i].area() * body.shapeArr[i].density;
+		}
+
+		// Dynamic body without mass from the fixtures gets unit mass and no rotational inertia like Box2D
+		if (body.isDynamic() && mass <= 0) {
+			body.setMass(1);
+			body.setInertia(0);
+			warnings.push(entity + ": dynamic body has no mass from the fixture densities, unit mass is given");
+		}
+		else {
+			body.resetMassData();
+		}
+
+		if (body.isDynamic() && config_body["massData-mass"] != undefined) {
+			var mass = readFloat(config_body["massData-mass"]);
+			if (Math.abs(mass - body.m) > 0.01 * Math.max(mass, body.m)) {
+				warnings.push(entity + ": custom mass data is not supported, mass is computed from the fixture densities");
+			}
+		}
+
+		return body;
+	}
+
+	function isGearableJoint(joint) {
+		return joint && (joint.type == Joint.TYPE_REVOLUTE || joint.type == Joint.TYPE_PRISMATIC);
+	}
+
+	function importJoint(config_joint, index, bodyArr, jointArr, warnings) {
+		var entity = config_joint.type + " joint '" + (config_joint.name || index) + "'";
+		var body1 = bodyArr[config_joint.bodyA];
+		var body2 = bodyArr[config_joint.bodyB];
+
+		if (!body1 || !body2) {
+			warnings.push(entity + ": refers unknown body, skipped");
+			return null;
+		}
+
+		var anchor1 = readVec2(config_joint.anchorA);
+		var anchor2 = readVec2(config_joint.anchorB);
+		var worldAnchor1 = body1.getWorldPoint(anchor1);
+		var worldAnchor2 = body2.getWorldPoint(anchor2);
+		var joint;
+
+		switch (config_joint.type) {
+		case "revolute":
+			joint = new RevoluteJoint(body1, body2, worldAnchor1);
+			joint.refAngle = readFloat(config_joint.refAngle);
+			joint.enableLimit(config_joint.enableLimit || false);
+			joint.setLimits(readFloat(config_joint.lowerLimit), readFloat(config_joint.upperLimit));
+			joint.enableMotor(config_joint.enableMotor || false);
+			joint.setMotorSpeed(readFloat(config_joint.motorSpeed));
+			joint.setMaxMotorTorque(readFloat(config_joint.maxMotorTorque));
+			break;
+		case "weld":
+			joint = new WeldJoint(body1, body2, worldAnchor1);
+			joint.setSpringFrequencyHz(readFloat(config_joint.frequency));
+			joint.setSpringDampingRatio(readFloat(config_joint.dampingRatio));
+
+			if (readFloat(config_joint.refAngle) != 0) {
+				warnings.push(entity + ": reference angle is not supported, bodies are welded at the same angle");
+			}
+			break;
+		case "wheel":
+			joint = new WheelJoint(body1, body2, worldAnchor1, worldAnchor2);
+			joint.u_local = vec2.normalize(readVec2(config_joint.localAxisA));
+			joint.n_local = vec2.perp(joint.u_local);
+			// Box2D wheel spring rests at the anchor of body A
+			joint.restLength = 0;
+			joint.enableMotor(config_joint.enableMotor || false);
+			joint.setMotorSpeed(readFloat(config_joint.motorSpeed));
+			joint.setMaxMotorTorque(readFloat(config_joint.maxMotorTorque));
+			joint.setSpringFrequencyHz(readFloat(config_joint.springFrequency));
+			joint.setSpringDampingRatio(readFloat(config_joint.springDampingRatio));
+			break;
+		case "prismatic":
+			joint = new PrismaticJoint(body1, body2, worldAnchor1, worldAnchor2);
+			joint.n_local = vec2.perp(vec2.normalize(readVec2(config_joint.localAxisA)));
+			joint.da = readFloat(config_joint.refAngle);
+			joint.enableLimit(config_joint.enableLimit || false);
+			joint.setLimits(readFloat(config_joint.lowerLimit), readFloat(config_joint.upperLimit));
+			joint.enableMotor(config_joint.enableMotor || false);
+			joint.setMotorSpeed(readFloat(config_joint.motorSpeed));
+			joint.setMaxMotorForce(readFloat(config_joint.maxMotorForce));
+			break;
+		case "distance":
+			joint = new DistanceJoint(body1, body2, worldAnchor1, worldAnchor2);
+			joint.restLength = readFloat(config_joint.length, joint.restLength);
+			joint.setSpringFrequencyHz(readFloat(config_joint.frequency));
+			joint.setSpringDampingRatio(readFloat(config_joint.dampingRatio));
+			break;
+		case "rope":
+			joint = new RopeJoint(body1, body2, worldAnchor1, worldAnchor2);
+			joint.maxDistance = readFloat(config_joint.maxLength, joint.maxDistance);
+			break;
+		case "pulley":
+			joint = new PulleyJoint(body1, body2, readVec2(config_joint.groundAnchorA), readVec2(config_joint.groundAnchorB), worldAnchor1, worldAnchor2, readFloat(config_joint.ratio, 1));
+
+			if (config_joint.lengthA != undefined && config_joint.lengthB != undefined) {
+				joint.totalLength = readFloat(config_joint.lengthA) + joint.ratio * readFloat(config_joint.lengthB);
+			}
+			break;
+		case "friction":
+			joint = new FrictionJoint(body1, body2, worldAnchor1, readFloat(config_joint.maxForce), readFloat(config_joint.maxTorque));
+			break;
+		case "motor":
+			joint = new MotorJoint(body1, body2);
+			joint.setLinearOffset(readVec2(config_joint.linearOffset));
+			joint.setAngularOffset(readFloat(config_joint.angularOffset));
+			joint.setMaxMotorForce(readFloat(config_joint.maxForce, 1));
+			joint.setMaxTorque(readFloat(config_joint.maxTorque, 1));
+			joint.setCorrectionFactor(readFloat(config_joint.correctionFactor, 0.3));
+			break;
+		case "gear":
+			var joint1 = jointArr[config_joint.joint1];
+			var joint2 = jointArr[config_joint.joint2];
+			if (!isGearableJoint(joint1) || !isGearableJoint(joint2)) {
+				warnings.push(entity + ": refers unsupported joint, skipped");
+				return null;
+			}
+			if (joint1.body2 != body1 || joint2.body2 != body2) {
+				warnings.push(entity + ": bodyA/bodyB should be the bodyB of joint1/joint2, skipped");
+				return null;
+			}
+			joint = new GearJoint(joint1, joint2, readFloat(config_joint.ratio, 1));
+			break;
+		default:
+			warnings.push(entity + ": joint type is not supported, skipped");
+			return null;
+		}
+
+		// Exact local anchors, world anchors may not coincide for the joints of single anchor
+		joint.anchor1 = anchor1;
+		joint.anchor2 = anchor2;
+		joint.collideConnected = config_joint.collideConnected || false;
+
+		return joint;
+	}
+
+	// Create the bodies and joints of Box2D JSON into the space.
+	// Returns the array of warnings for the unsupported features.
+	box2dScene.importScene = function(space, text) {
+		var config = typeof text == "string" ? JSON.parse(text) : text;
+		var warnings = [];
+
+		space.clear();
+		space.gravity = readVec2(config.gravity);
+
+		var bodyArr = [];
+		var bodies = config.body || [];
+		for (var i = 0; i < bodies.length; i++) {
+			var body = importBody(bodies[i], i, warnings);
+			space.addBody(body);
+			bodyArr.push(body);
+		}
+
+		var jointArr = [];
+		var joints = config.joint || [];
+		for (var i = 0; i < joints.length; i++) {
+			var joint = importJoint(joints[i], i, bodyArr, jointArr, warnings);
+			if (joint) {
+				space.addJoint(joint);
+			}
+			jointArr.push(joint);
+		}
+
+		// Adding joints wakes up the bodies, so restore the motion state at last
+		for (var i = 0; i < bodies.length; i++) {
+			var config_body = bodies[i];
+			var body = bodyArr[i];
+
+			if (config_body.awake === false) {
+				body.awake(false);
+			}
+
+			if (!body.isStatic()) {
+				body.v.copy(readVec2(config_body.linearVelocity));
+				body.w = readFloat(config_body.angularVelocity);
+			}
+		}
+
+		return warnings;
+	}
+
+	function isDefaultFilter(o) {
+		return o.categoryBits == 0x0001 && o.maskBits == 0xFFFF && o.groupIndex == 0;
+	}
+
+	// verts overrides the vertices of polygon shape
+	function exportFixture(shape, body, entity, warnings, verts) {
+		// Box2D has the fixture filter only, so the body filter is used when the shape has none
+		var filter = isDefaultFilter(shape) ? body : shape;
+		if (!isDefaultFilter(shape) && !isDefaultFilter(body)) {
+			warnings.push(entity + ": both of body and shape filters are set, the shape filter is exported");
+		}
+
+		var config_fixture = {
+			"density": shape.density,
+			"friction": shape.u,
+			"restitution": shape.e,
+			"sensor": shape.isSensor,
+			"filter-categoryBits": filter.categoryBits,
+			"filter-maskBits": filter.maskBits
+		};
+
+		if (filter.groupIndex != 0) {
+			config_fixture["filter-groupIndex"] = filter.groupIndex;
+		}
+
+		switch (shape.type) {
+		case Shape.TYPE_CIRCLE:
+			config_fixture.circle = { "center": writeVec2(shape.c), "radius": shape.r };
+			break;
+		case Shape.TYPE_SEGMENT:
+			config_fixture.edge = { "vertex1": writeVec2(shape.a), "vertex2": writeVec2(shape.b) };
+
+			if (shape.r > 0) {
+				warnings.push(entity + ": segment is exported as edge without radius");
+			}
+			break;
+		case Shape.TYPE_CHAIN:
+			var chainVerts = shape.loop ? shape.verts.concat([shape.verts[0]]) : shape.verts;
+			config_fixture.chain = { "vertices": writeVertices(chainVerts) };
+			break;
+		case Shape.TYPE_POLY:
+			verts = verts || shape.verts;
+			config_fixture.polygon = { "vertices": writeVertices(verts) };
+
+			if (verts.length > MAX_POLYGON_VERTICES) {
+				warnings.push(entity + ": polygon has more than " + MAX_POLYGON_VERTICES + " vertices");
+			}
+
+			if (shape.r > 0) {
+				warnings.push(entity + ": polygon is exported without radius");
+			}
+			break;
+		}
+
+		return config_fixture;
+	}
+
+	function exportBody(body, warnings) {
+		var entity = "body '" + body.name + "'";
+		var fixtures = [];
+
+		for (var i = 0; i < body.shapeArr.length; i++) {
+			var shape = body.shapeArr[i];
+
+			// Box2D polygon must be convex, so concave polygon is exported as a fixture per convex part
+			if (shape.convexParts) {
+				for (var j = 0; j < shape.convexParts.length; j++) {
+					fixtures.push(exportFixture(shape, body, entity + " shape " + i + " part " + j, warnings, shape.convexParts[j].verts));
+				}
+				continue;
+			}
+
+			fixtures.push(exportFixture(shape, body, entity + " shape " + i, warnings));
+		}
+
+		return {
+			"name": body.name,
+			"type": BODY_TYPES.indexOf(body.type),
+			"position": writeVec2(body.xf.t),
+			"angle": body.a,
+			"linearVelocity": writeVec2(body.v),
+			"angularVelocity": body.w,
+			"linearDamping": body.linearDamping,
+			"angularDamping": body.angularDamping,
+			"fixedRotation": body.fixedRotation,
+			"bullet": body.bullet,
+			"awake": body.isAwake(),
+			"fixture": fixtures
+		};
+	}
+
+	function exportJoint(joint, bodyIndex, jointIndex, warnings) {
+		var entity = "joint " + joint.id;
+		var config_joint = {
+			"bodyA": bodyIndex[joint.body1.id],
+			"bodyB": bodyIndex[joint.body2.id],
+			"anchorA": writeVec2(joint.anchor1),
+			"anchorB": writeVec2(joint.anchor2),
+			"collideConnected": joint.collideConnected
+		};
+
+		switch (joint.type) {
+		case Joint.TYPE_REVOLUTE:
+			config_joint.type = "revolute";
+			config_joint.refAngle = joint.refAngle;
+			config_joint.enableLimit = joint.limitEnabled;
+			config_joint.lowerLimit = joint.limitLowerAngle;
+			config_joint.upperLimit = joint.limitUpperAngle;
+			config_joint.enableMotor = joint.motorEnabled;
+			config_joint.motorSpeed = joint.motorSpeed;
+			config_joint.maxMotorTorque = joint.maxMotorTorque;
+			break;
+		case Joint.TYPE_WELD:
+			config_joint.type = "weld";
+			config_joint.refAngle = 0;
+			config_joint.frequency = joint.frequencyHz;
+			config_joint.dampingRatio = joint.dampingRatio;
+			break;
+		case Joint.TYPE_WHEEL:
+			config_joint.type = "wheel";
+			config_joint.localAxisA = writeVec2(joint.u_local);
+			config_joint.enableMotor = joint.motorEnabled;
+			config_joint.motorSpeed = joint.motorSpeed;
+			config_joint.maxMotorTorque = joint.maxMotorTorque;
+			config_joint.springFrequency = joint.frequencyHz;
+			config_joint.springDampingRatio = joint.dampingRatio;
+
+			if (joint.frequencyHz > 0 && joint.restLength != 0) {
+				warnings.push(entity + ": spring rest length is not supported, spring rests at the anchor of body A");
+			}
+			break;
+		case Joint.TYPE_PRISMATIC:
+			config_joint.type = "prismatic";
+			config_joint.localAxisA = writeVec2(vec2.rperp(joint.n_local));
+			config_joint.refAngle = joint.da;
+			config_joint.enableLimit = joint.limitEnabled;
+			config_joint.lowerLimit = joint.limitLowerTranslation;
+			config_joint.upperLimit = joint.limitUpperTranslation;
+			config_joint.enableMotor = joint.motorEnabled;
+			config_joint.motorSpeed = joint.motorSpeed;
+			config_joint.maxMotorForce = joint.maxMotorForce;
+			break;
+		case Joint.TYPE_DISTANCE:
+			config_joint.type = "distance";
+			config_joint.length = joint.restLength;
+			config_joint.frequency = joint.frequencyHz;
+			config_joint.dampingRatio = joint.dampingRatio;
+			break;
+		case Joint.TYPE_ROPE:
+			config_joint.type = "rope";
+			config_joint.maxLength = joint.maxDistance;
+			break;
+		case Joint.TYPE_PULLEY:
+			config_joint.type = "pulley";
+			config_joint.groundAnchorA = writeVec2(joint.groundAnchor1);
+			config_joint.groundAnchorB = writeVec2(joint.groundAnchor2);
+			// Only the total length matters, so lengthA takes the slack of the current pose
+			config_joint.lengthB = joint.getLength2();
+			config_joint.lengthA = joint.totalLength - joint.ratio * config_joint.lengthB;
+			config_joint.ratio = joint.ratio;
+			break;
+		case Joint.TYPE_FRICTION:
+			config_joint.type = "friction";
+			config_joint.maxForce = joint.maxFrictionForce;
+			config_joint.maxTorque = joint.maxFrictionTorque;
+			break;
+		case Joint.TYPE_MOTOR:
+			config_joint.type = "motor";
+			config_joint.linearOffset = writeVec2(joint.linearOffset);
+			config_joint.angularOffset = joint.angularOffset;
+			config_joint.maxForce = joint.maxMotorForce;
+			config_joint.maxTorque = joint.maxTorque;
+			config_joint.correctionFactor = joint.correctionFactor;
+			break;
+		case Joint.TYPE_GEAR:
+			if (jointIndex[joint.joint1.id] == undefined || jointIndex[joint.joint2.id] == undefined) {
+				warnings.push(entity + ": coupled joint is not exported, skipped");
+				return null;
+			}
+			config_joint.type = "gear";
+			config_joint.joint1 = jointIndex[joint.joint1.id];
+			config_joint.joint2 = jointIndex[joint.joint2.id];
+			config_joint.ratio = joint.ratio;
+			break;
+		default:
+			warnings.push(entity + ": joint type is not supported in Box2D, skipped");
+			return null;
+		}
+
+		if (joint.breakable) {
+			warnings.push(entity + ": breakable joint is not supported");
+		}
+
+		return config_joint;
+	}
+
+	// Build Box2D JSON object of the space.
+	// Unsupported features are pushed to the warnings array if given.
+	box2dScene.exportScene = function(space, warnings) {
+		warnings = warnings || [];
+
+		var bodies = [];
+		var bodyIndex = {};
+		for (var i = 0; i < space.bodyArr.length; i++) {
+			var body = space.bodyArr[i];
+			if (!body) {
+				continue;
+			}
+
+			bodyIndex[body.id] = bodies.push(exportBody(body, warnings)) - 1;
+		}
+
+		var joints = [];
+		var jointIndex = {};
+		for (var i = 0; i < space.jointArr.length; i++) {
+			var joint = space.jointArr[i];
+			if (!joint) {
+				continue;
+			}
+
+			// Skip temporary joints which are linked to the body out of this space (e.g. mouse joint)
+			if (bodyIndex[joint.body1.id] == undefined || bodyIndex[joint.body2.id] == undefined) {
+				continue;
+			}
+
+			var config_joint = exportJoint(joint, bodyIndex, jointIndex, warnings);
+			if (config_joint) {
+				jointIndex[joint.id] = joints.push(config_joint) - 1;
+			}
+		}
+
+		return {
+			"gravity": writeVec2(space.gravity),
+			"allowSleep": true,
+			"body": bodies,
+			"joint": joints
+		};
+	}
+})();
@@ -0,0 +1,661 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//------------------------------------------
+// SVG import for static level geometry
+//
+// path, polygon, polyline, rect, circle, ellipse and line elements are converted
+// to the shapes of bodies, one body per element.
+// Filled closed outlines become polygons (concave ones are decomposed into convex parts),
+// open or unfilled outlines become segments. Curves are flattened to the tolerance.
+// SVG pixel units are scaled with pixel2meter and y axis is flipped.
+//------------------------------------------
+
+var svgScene = {};
+
+(function() {
+	var NUMBER_REGEXP = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+	var LEADING_NUMBER_REGEXP = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+	// Elements which are not drawn directly
+	var SKIP_ELEMENTS = ["defs", "clipPath", "mask", "symbol", "pattern", "marker", "metadata", "title", "desc", "style", "script"];
+	var CONTAINER_ELEMENTS = ["svg", "g", "a", "switch"];
+	var SHAPE_ELEMENTS = ["path", "polygon", "polyline", "rect", "circle", "ellipse", "line"];
+
+	// Max recursion depth of curve subdivision
+	var MAX_SUBDIVISION = 16;
+
+	function parseNumbers(text) {
+		var numbers = [];
+		(text || "").replace(NUMBER_REGEXP, function(s) { numbers.push(parseFloat(s)); });
+		return numbers;
+	}
+
+	function parseAttributes(text) {
+		var attrs = {};
+		text.replace(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, function($0, name, value1, value2) {
+			attrs[name] = value1 != undefined ? value1 : value2;
+		});
+		return attrs;
+	}
+
+	function attrNumber(attrs, name) {
+		return parseFloat(attrs[name]) || 0;
+	}
+
+	// Affine matrix [a, b, c, d, e, f] same as SVG matrix(a, b, c, d, e, f)
+	function multiply(m1, m2) {
+		return [
+			m1[0] * m2[0] + m1[2] * m2[1],
+			m1[1] * m2[0] + m1[3] * m2[1],
+			m1[0] * m2[2] + m1[2] * m2[3],
+			m1[1] * m2[2] + m1[3] * m2[3],
+			m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+			m1[1] * m2[4] + m1[3] * m2[5] + m1[5]];
+	}
+
+	function parseTransform(text) {
+		var m = [1, 0, 0, 1, 0, 0];
+
+		(text || "").replace(/(\w+)\s*\(([^)]*)\)/g, function($0, name, args) {
+			var a = parseNumbers(args);
+			var t;
+
+			switch (name) {
+			case "matrix":
+				t = a;
+				break;
+			case "translate":
+				t = [1, 0, 0, 1, a[0], a[1] || 0];
+				break;
+			case "scale":
+				t = [a[0], 0, 0, a.length > 1 ? a[1] : a[0], 0, 0];
+				break;
+			case "rotate":
+				var c = Math.cos(deg2rad(a[0]));
+				var s = Math.sin(deg2rad(a[0]));
+				t = [c, s, -s, c, 0, 0];
+				if (a.length > 2) {
+					t = multiply(multiply([1, 0, 0, 1, a[1], a[2]], t), [1, 0, 0, 1, -a[1], -a[2]]);
+				}
+				break;
+			case "skewX":
+				t = [1, 0, Math.tan(deg2rad(a[0])), 1, 0, 0];
+				break;
+			case "skewY":
+				t = [1, Math.tan(deg2rad(a[0])), 0, 1, 0, 0];
+				break;
+			default:
+				return;
+			}
+
+			m = multiply(m, t);
+		});
+
+		return m;
+	}
+
+	// Fill is inherited from the container elements unless the element sets it.
+	// Style property takes precedence over the presentation attribute.
+	function isFilled(attrs, inherited) {
+		var match = /(^|;)\s*fill\s*:\s*([^;]*)/.exec(attrs.style || "");
+		var fill = match ? match[2].trim() : attrs.fill;
+
+		if (fill == undefined || fill == "inherit") {
+			return inherited;
+		}
+
+		return fill != "none";
+	}
+
+	function flattenCubic(p0, p1, p2, p3, tolerance, points, depth) {
+		// Flat enough if the control points are close to the chord
+		var chord = vec2.sub(p3, p0);
+		var len = chord.length();
+		var d1 = len > 0 ? Math.abs(vec2.cross(vec2.sub(p1, p0), chord)) / len : vec2.dist(p1, p0);
+		var d2 = len > 0 ? Math.abs(vec2.cross(vec2.sub(p2, p0), chord)) / len : vec2.dist(p2, p0);
+
+		if (d1 + d2 <= tolerance || depth >= MAX_SUBDIVISION) {
+			points.push(p3);
+			return;
+		}
+
+		// Subdivide at t = 0.5 (de Casteljau)
+		var p01 = vec2.lerp(p0, p1, 0.5);
+		var p12 = vec2.lerp(p1, p2, 0.5);
+		var p23 = vec2.lerp(p2, p3, 0.5);
+		var p012 = vec2.lerp(p01, p12, 0.5);
+		var p123 = vec2.lerp(p12, p23, 0.5);
+		var p0123 = vec2.lerp(p012, p123, 0.5);
+
+		flattenCubic(p0, p01, p012, p0123, tolerance, points, depth + 1);
+		flattenCubic(p0123, p123, p23, p3, tolerance, points, depth + 1);
+	}
+
+	function flattenQuadratic(p0, p1, p2, tolerance, points) {
+		// Elevate to cubic
+		var c1 = vec2.lerp(p0, p1, 2 / 3);
+		var c2 = vec2.lerp(p2, p1, 2 / 3);
+
+		flattenCubic(p0, c1, c2, p2, tolerance, points, 0);
+	}
+
+	// Elliptical arc in endpoint parameterization (SVG 1.1 F.6.5)
+	function flattenArc(p0, rx, ry, xAxisRotation, largeArc, sweep, p1, tolerance, points) {
+		rx = Math.abs(rx);
+		ry = Math.abs(ry);
+
+		if (rx == 0 || ry == 0) {
+			points.push(p1);
+			return;
+		}
+
+		var phi = deg2rad(xAxisRotation);
+		var cosPhi = Math.cos(phi);
+		var sinPhi = Math.sin(phi);
+		var hx = (p0.x - p1.x) * 0.5;
+		var hy = (p0.y - p1.y) * 0.5;
+		var x1 = cosPhi * hx + sinPhi * hy;
+		var y1 = -sinPhi * hx + cosPhi * hy;
+
+		// Scale up radii which are too small
+		var lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+		if (lambda > 1) {
+			rx *= Math.sqrt(lambda);
+			ry *= Math.sqrt(lambda);
+		}
+
+		var num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+		var den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+		var coef = Math.sqrt(Math.max(0, num / den)) * (largeArc == sweep ? -1 : 1);
+		var cx1 = coef * rx * y1 / ry;
+		var cy1 = -coef * ry * x1 / rx;
+		var cx = cosPhi * cx1 - sinPhi * cy1 + (p0.x + p1.x) * 0.5;
+		var cy = sinPhi * cx1 + cosPhi * cy1 + (p0.y + p1.y) * 0.5;
+
+		var theta1 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+		var dtheta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta1;
+		if (sweep && dtheta < 0) {
+			dtheta += Math.PI * 2;
+		}
+		else if (!sweep && dtheta > 0) {
+			dtheta -= Math.PI * 2;
+		}
+
+		// Number of segments to keep the sagitta under the tolerance
+		var r = Math.max(rx, ry);
+		var maxAngle = 2 * Math.acos(Math.max(-1, 1 - tolerance / r));
+		var n = Math.max(1, Math.ceil(Math.abs(dtheta) / maxAngle));
+
+		for (var i = 1; i < n; i++) {
+			var theta = theta1 + dtheta * i / n;
+			var ex = rx * Math.cos(theta);
+			var ey = ry * Math.sin(theta);
+			points.push(new vec2(cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy));
+		}
+
+		points.push(p1);
+	}
+
+	function ellipseOutline(cx, cy, rx, ry, tolerance) {
+		var points = [];
+		var maxAngle = 2 * Math.acos(Math.max(-1, 1 - tolerance / Math.max(rx, ry)));
+		var n = Math.max(8, Math.ceil(Math.PI * 2 / maxAngle));
+
+		for (var i = 0; i < n; i++) {
+			var theta = Math.PI * 2 * i / n;
+			points.push(new vec2(cx + rx * Math.cos(theta), cy + ry * Math.sin(theta)));
+		}
+
+		return { points: points, closed: true };
+	}
+
+	// Returns the array of outlines { points, closed }
+	function parsePath(d, tolerance) {
+		var outlineArr = [];
+		var outline = null;
+		var pos = 0;
+		var cur = new vec2(0, 0);
+		var start = new vec2(0, 0);
+		var lastControl = null;
+		var command = "";
+		var prevCommand = "";
+
+		function skip() {
+			while (pos < d.length && /[\s,]/.test(d.charAt(pos))) {
+				pos++;
+			}
+		}
+
+		function number() {
+			skip();
+			var match = LEADING_NUMBER_REGEXP.exec(d.substr(pos));
+			if (!match) {
+				throw new Error("Invalid SVG path data at " + pos);
+			}
+
+			pos += match[0].length;
+			return parseFloat(match[0]);
+		}
+
+		// Arc flags may be written without separators
+		function flag() {
+			skip();
+			return d.charAt(pos++) == "1";
+		}
+
+		function point(rel) {
+			var x = number();
+			var y = number();
+			return rel ? new vec2(cur.x + x, cur.y + y) : new vec2(x, y);
+		}
+
+		function beginOutline(p) {
+			outline = { points: [p], closed: false };
+			outlineArr.push(outline);
+		}
+
+		// Drawing after closepath without moveto starts at the same start point
+		function currentPoints() {
+			if (!outline) {
+				beginOutline(start);
+			}
+
+			return outline.points;
+		}
+
+		while (true) {
+			skip();
+			if (pos >= d.length) {
+				break;
+			}
+
+			var ch = d.charAt(pos);
+			if (/[A-Za-z]/.test(ch)) {
+				command = ch;
+				pos++;
+			}
+			else if (!command) {
+				throw new Error("Invalid SVG path data at " + pos);
+			}
+
+			var rel = command == command.toLowerCase();
+			var upper = command.toUpperCase();
+
+			switch (upper) {
+			case "M":
+				cur = point(rel);
+				start = cur;
+				beginOutline(cur);
+				// Subsequent pairs are implicit lineto
+				command = rel ? "l" : "L";
+				break;
+			case "L":
+				var p = point(rel);
+				currentPoints().push(p);
+				cur = p;
+				break;
+			case "H":
+				var x = number();
+				var p = new vec2(rel ? cur.x + x : x, cur.y);
+				currentPoints().push(p);
+				cur = p;
+				break;
+			case "V":
+				var y = number();
+				var p = new vec2(cur.x, rel ? cur.y + y : y);
+				currentPoints().push(p);
+				cur = p;
+				break;
+			case "C":
+			case "S":
+				var c1;
+				if (upper == "C") {
+					c1 = point(rel);
+				}
+				else {
+					c1 = (prevCommand == "C" || prevCommand == "S") ? vec2.sub(vec2.scale(cur, 2), lastControl) : cur;
+				}
+				var c2 = point(rel);
+				var p = point(rel);
+				flattenCubic(cur, c1, c2, p, tolerance, currentPoints(), 0);
+				lastControl = c2;
+				cur = p;
+				break;
+			case "Q":
+			case "T":
+				var c;
+				if (upper == "Q") {
+					c = point(rel);
+				}
+				else {
+					c = (prevCommand == "Q" || prevCommand == "T") ? vec2.sub(vec2.scale(cur, 2), lastControl) : cur;
+				}
+				var p = point(rel);
+				flattenQuadratic(cur, c, p, tolerance, currentPoints());
+				lastControl = c;
+				cur = p;
+				break;
+			case "A":
+				var rx = number();
+				var ry = number();
+				var rotation = number();
+				var largeArc = flag();
+				var sweep = flag();
+				var p = point(rel);
+				flattenArc(cur, rx, ry, rotation, largeArc, sweep, p, tolerance, currentPoints());
+				cur = p;
+				break;
+			case "Z":
+				if (outline) {
+					outline.closed = true;
+				}
+				outline = null;
+				cur = start;
+				break;
+			default:
+				throw new Error("Invalid SVG path command '" + command + "'");
+			}
+
+			prevCommand = upper;
+		}
+
+		return outlineArr;
+	}
+
+	// Returns { outlineArr, circleArr } in the element coordinates
+	function parseElement(name, attrs, tolerance) {
+		var outlineArr = [];
+		var circleArr = [];
+
+		switch (name) {
+		case "path":
+			outlineArr = parsePath(attrs.d || "", tolerance);
+			break;
+		case "polygon":
+		case "polyline":
+			var numbers = parseNumbers(attrs.points);
+			var points = [];
+			for (var i = 0; i + 1 < numbers.length; i += 2) {
+				points.push(new vec2(numbers[i], numbers[i + 1]));
+			}
+			outlineArr.push({ points: points, closed: name == "polygon" });
+			break;
+		case "rect":
+			var x = attrNumber(attrs, "x");
+			var y = attrNumber(attrs, "y");
+			var w = attrNumber(attrs, "width");
+			var h = attrNumber(attrs, "height");
+			outlineArr.push({ points: [new vec2(x, y), new vec2(x + w, y), new vec2(x + w, y + h), new vec2(x, y + h)], closed: true });
+			break;
+		case "circle":
+			circleArr.push({ c: new vec2(attrNumber(attrs, "cx"), attrNumber(attrs, "cy")), r: attrNumber(attrs, "r") });
+			break;
+		case "ellipse":
+			outlineArr.push(ellipseOutline(attrNumber(attrs, "cx"), attrNumber(attrs, "cy"), attrNumber(attrs, "rx"), attrNumber(attrs, "ry"), tolerance));
+			break;
+		case "line":
+			outlineArr.push({ points: [new vec2(attrNumber(attrs, "x1"), attrNumber(attrs, "y1")), new vec2(attrNumber(attrs, "x2"), attrNumber(attrs, "y2"))], closed: false });
+			break;
+		}
+
+		return { outlineArr: outlineArr, circleArr: circleArr };
+	}
+
+	// SVG pixel to world meter, y axis is flipped
+	function toWorld(m, p) {
+		var x = m[0] * p.x + m[2] * p.y + m[4];
+		var y = m[1] * p.x + m[3] * p.y + m[5];
+		return new vec2(pixel2meter(x), -pixel2meter(y));
+	}
+
+	// Remove duplicated consecutive points
+	function cleanPoints(points, closed) {
+		var epsilon = 0.0001;
+		var result = [];
+
+		for (var i = 0; i < points.length; i++) {
+			if (result.length == 0 || vec2.distsq(result[result.length - 1], points[i]) > epsilon * epsilon) {
+				result.push(points[i]);
+			}
+		}
+
+		if (closed && result.length > 1 && vec2.distsq(result[0], result[result.length - 1]) <= epsilon * epsilon) {
+			result.pop();
+		}
+
+		return result;
+	}
+
+	function createShapes(outline, filled, segmentRadius, entity, warnings) {
+		var shapeArr = [];
+		var points = cleanPoints(outline.points, outline.closed);
+
+		if (outline.closed && filled && points.length >= 3) {
+			if (areaForPoly(points) < 0) {
+				points.reverse();
+			}
+
+			var shape = new ShapePoly(points);
+			if (shape.validOutline) {
+				return [shape];
+			}
+
+			var triangleArr = triangulatePoly(points);
+			for (var i = 0; i < triangleArr.length; i++) {
+				shapeArr.push(new ShapePoly(triangleArr[i]));
+			}
+
+			if (shapeArr.length > 0) {
+				warnings.push(entity + ": self-intersecting outline is partially imported");
+			}
+			else {
+				warnings.push(entity + ": self-intersecting outline is not imported");
+			}
+
+			return shapeArr;
+		}
+
+		var numSegments = outline.closed && points.length > 2 ? points.length : points.length - 1;
+		for (var i = 0; i < numSegments; i++) {
+			shapeArr.push(new ShapeSegment(points[i], points[(i + 1) % points.length], segmentRadius));
+		}
+
+		return shapeArr;
+	}
+
+	function createBody(name, attrs, m, filled, options, warnings) {
+		var entity = "<" + name + (attrs.id ? " id='" + attrs.id + "'" : "") + ">";
+
+		// Flattening tolerance in the element coordinates
+		var scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+
+		// Malformed element is skipped without losing the other elements
+		var element;
+		try {
+			element = parseElement(name, attrs, options.tolerance / scale);
+		}
+		catch (e) {
+			warnings.push(entity + ": invalid path data");
+			return null;
+		}
+		var shapeArr = [];
+		var numWarnings = warnings.length;
+
+		// Every closed subpath becomes a solid polygon, holes are not cut out
+		if (filled) {
+			var numClosed = 0;
+			for (var i = 0; i < element.outlineArr.length; i++) {
+				var outline = element.outlineArr[i];
+				if (outline.closed && outline.points.length >= 3) {
+					numClosed++;
+				}
+			}
+
+			if (numClosed > 1) {
+				warnings.push(entity + ": " + numClosed + " closed subpaths imported as separate polygons, holes are filled");
+			}
+		}
+
+		for (var i = 0; i < element.outlineArr.length; i++) {
+			var outline = element.outlineArr[i];
+			var points = [];
+			for (var j = 0; j < outline.points.length; j++) {
+				points.push(toWorld(m, outline.points[j]));
+			}
+
+			shapeArr = shapeArr.concat(createShapes({ points: points, closed: outline.closed }, filled, options.segmentRadius, entity, warnings));
+		}
+
+		// Circle stays circle only if the transform keeps the shape
+		var uniform = Math.abs(m[0] - m[3]) < 0.0001 && Math.abs(m[1] + m[2]) < 0.0001;
+
+		for (var i = 0; i < element.circleArr.length; i++) {
+			var circle = element.circleArr[i];
+			if (uniform) {
+				var c = toWorld(m, circle.c);
+				shapeArr.push(new ShapeCircle(c.x, c.y, pixel2meter(circle.r * scale)));
+			}
+			else {
+				var outline = ellipseOutline(circle.c.x, circle.c.y, circle.r, circle.r, options.tolerance / scale);
+				for (var j = 0; j < outline.points.length; j++) {
+					outline.points[j] = toWorld(m, outline.points[j]);
+				}
+
+				shapeArr = shapeArr.concat(createShapes(outline, true, options.segmentRadius, entity, warnings));
+			}
+		}
+
+		if (shapeArr.length == 0) {
+			// Outline which is not imported has been already warned
+			if (warnings.length == numWarnings) {
+				warnings.push(entity + ": no geometry");
+			}
+			return null;
+		}
+
+		if (name == "rect" && (attrNumber(attrs, "rx") > 0 || attrNumber(attrs, "ry") > 0)) {
+			warnings.push(entity + ": rounded corners of rect are ignored");
+		}
+
+		// Body is placed at the center of the shapes
+		var bounds = new Bounds;
+		for (var i = 0; i < shapeArr.length; i++) {
+			shapeArr[i].cacheData(new Transform(vec2.zero, 0));
+			bounds.addBounds(shapeArr[i].bounds);
+		}
+
+		var center = bounds.getCenter();
+		var body = new Body(options.bodyType, center, 0);
+
+		if (attrs.id) {
+			body.name = attrs.id;
+		}
+
+		for (var i = 0; i < shapeArr.length; i++) {
+			var shape = shapeArr[i];
+			shape.recenter(center);
+			shape.finishVerts();
+			body.addShape(shape);
+		}
+
+		body.resetMassData();
+
+		return body;
+	}
+
+	// Create the bodies from the SVG document text.
+	// options (optional): {
+	//   bodyType: type of the created bodies (default Body.STATIC)
+	//   tolerance: max distance of flattened curves from the true curves in pixels (default 0.5)
+	//   segmentRadius: radius of the segments for open outlines in meters (default 0)
+	// }
+	// Bodies are not added to any space.
+	// Unsupported elements are pushed to the warnings array if given.
+	svgScene.createBodies = function(text, options, warnings) {
+		options = options || {};
+		options = {
+			bodyType: options.bodyType != undefined ? options.bodyType : Body.STATIC,
+			tolerance: options.tolerance || 0.5,
+			segmentRadius: options.segmentRadius || 0
+		};
+		warnings = warnings || [];
+
+		text = text.replace(/<!--[\s\S]*?-->/g, "").replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "");
+
+		var bodyArr = [];
+		var matrixStack = [[1, 0, 0, 1, 0, 0]];
+		var filledStack = [true];
+		var skipDepth = 0;
+		var tagRegexp = /<(\/?)([\w:-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+		var match;
+
+		while ((match = tagRegexp.exec(text))) {
+			var closing = match[1] == "/";
+			var name = match[2].replace(/^svg:/, "");
+			var selfClosing = match[4] == "/";
+
+			if (SKIP_ELEMENTS.indexOf(name) != -1) {
+				if (!selfClosing) {
+					skipDepth += closing ? -1 : 1;
+				}
+				continue;
+			}
+
+			if (skipDepth > 0) {
+				continue;
+			}
+
+			if (CONTAINER_ELEMENTS.indexOf(name) != -1) {
+				if (closing) {
+					matrixStack.pop();
+					filledStack.pop();
+				}
+				else if (!selfClosing) {
+					var attrs = parseAttributes(match[3]);
+					matrixStack.push(multiply(matrixStack[matrixStack.length - 1], parseTransform(attrs.transform)));
+					filledStack.push(isFilled(attrs, filledStack[filledStack.length - 1]));
+				}
+				continue;
+			}
+
+			if (closing) {
+				continue;
+			}
+
+			if (SHAPE_ELEMENTS.indexOf(name) == -1) {
+				// Editor specific elements of other namespaces are ignored silently
+				if (name.indexOf(":") == -1) {
+					warnings.push("<" + name + "> element is not supported");
+				}
+				continue;
+			}
+
+			var attrs = parseAttributes(match[3]);
+			var m = multiply(matrixStack[matrixStack.length - 1], parseTransform(attrs.transform));
+			var filled = isFilled(attrs, filledStack[filledStack.length - 1]);
+			var body = createBody(name, attrs, m, filled, options, warnings);
+			if (body) {
+				bodyArr.push(body);
+			}
+		}
+
+		return bodyArr;
+	}
+})();
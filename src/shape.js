@@ -36,12 +36,33 @@ Shape = function(type) {
 	// Mass density
 	this.density = 1;
 
+	// Sensor shape reports overlap events only without collision response
+	this.isSensor = false;
+
+	// Collision filter of this shape, tested after the filter of the body.
+	// Shapes in the same positive group always collide and never in the same negative group,
+	// otherwise the category and mask bits decide it.
+	this.categoryBits = 0x0001;
+	this.maskBits = 0xFFFF;
+	this.groupIndex = 0;
+
 	// Axis-aligned bounding box
 	this.bounds = new Bounds;    
+
+	// Proxy id of the broad phase
+	this.proxyId = -1;
 }
 
 Shape.TYPE_CIRCLE = 0;
 Shape.TYPE_SEGMENT = 1;
 Shape.TYPE_POLY = 2;
-Shape.NUM_TYPES = 3;
+Shape.TYPE_CHAIN = 3;
+Shape.NUM_TYPES = 4;
 
+Shape.prototype.isCollidable = function(other) {
+	if (this.groupIndex != 0 && this.groupIndex == other.groupIndex) {
+		return this.groupIndex > 0;
+	}
+
+	return (this.maskBits & other.categoryBits) != 0 && (other.maskBits & this.categoryBits) != 0;
+}
@@ -0,0 +1,224 @@
+/*
+* Copyright (c) 2012 Ju Hyung Lee
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software 
+* and associated documentation files (the "Software"), to deal in the Software without 
+* restriction, including without limitation the rights to use, copy, modify, merge, publish, 
+* distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the 
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all copies or 
+* substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING 
+* BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, 
+* DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+//------------------------------------------
+// ShapeChain (one-sided edges of polyline)
+//------------------------------------------
+
+// Each edge collides on its right side only, so the counter-clockwise loop is
+// solid inside like polygon, and the terrain polyline goes from right to left.
+// Neighbor (ghost) vertices limit the contact normals of each edge,
+// so that the shapes slide over the internal vertices without bumping.
+
+ShapeChain = function(verts, loop) {
+	Shape.call(this, Shape.TYPE_CHAIN);
+
+	this.verts = [];
+	this.tverts = [];
+	this.loop = loop ? true : false;
+
+	// Chain has no rounded radius
+	this.r = 0;
+
+	if (verts) {
+		for (var i = 0; i < verts.length; i++) {
+			this.verts[i] = verts[i].duplicate();
+			this.tverts[i] = this.verts[i];
+		}
+	}
+
+	this.finishVerts();
+}
+
+ShapeChain.prototype = new Shape;
+ShapeChain.prototype.constructor = ShapeChain;
+
+// Edges are the 2 vertices polys which have the front face normal in the first plane.
+// The circles and segments are collided with the zero radius segment of each edge.
+ShapeChain.prototype.finishVerts = function() {
+	var numVerts = this.verts.length;
+	var numEdges = this.loop && numVerts > 2 ? numVerts : Math.max(numVerts - 1, 0);
+
+	this.tverts = [];
+	for (var i = 0; i < numVerts; i++) {
+		this.tverts[i] = this.verts[i];
+	}
+
+	this.edgeArr = [];
+	for (var i = 0; i < numEdges; i++) {
+		var edge = new ShapePoly([this.verts[i], this.verts[(i + 1) % numVerts]]);
+		edge.index = i;
+		edge.segment = new ShapeSegment(edge.verts[0], edge.verts[1], 0);
+		this.edgeArr.push(edge);
+	}
+
+	// Normal limits of each edge in local space.
+	// Contact normals leaning to the vertex a are allowed up to normalA, and to the vertex b up to normalB.
+	// Region of the convex corner is given to the edge starting from the corner.
+	for (var i = 0; i < numEdges; i++) {
+		var edge = this.edgeArr[i];
+		var n = edge.planes[0].n;
+		var t = vec2.normalize(vec2.sub(edge.verts[1], edge.verts[0]));
+		var prev = this.loop ? this.edgeArr[(i + numEdges - 1) % numEdges] : this.edgeArr[i - 1];
+		var next = this.loop ? this.edgeArr[(i + 1) % numEdges] : this.edgeArr[i + 1];
+
+		if (!prev || prev == edge) {
+			edge.normalA = vec2.neg(t);
+		}
+		else {
+			var prevTangent = vec2.normalize(vec2.sub(prev.verts[1], prev.verts[0]));
+			edge.normalA = vec2.cross(prevTangent, t) > 0.0001 ? prev.planes[0].n : n;
+		}
+
+		edge.normalB = (!next || next == edge) ? t : n;
+		edge.tnormalA = edge.normalA;
+		edge.tnormalB = edge.normalB;
+	}
+}
+
+ShapeChain.prototype.duplicate = function() {
+	return new ShapeChain(this.verts, this.loop);
+}
+
+ShapeChain.prototype.serialize = function() {
+	return {
+		"type": "ShapeChain",
+		"e": this.e,
+		"u": this.u,
+		"density": this.density,
+		"isSensor": this.isSensor,
+		"categoryBits": this.categoryBits,
+		"maskBits": this.maskBits,
+		"groupIndex": this.groupIndex,
+		"verts": this.verts,
+		"loop": this.loop
+	};
+}
+
+ShapeChain.prototype.recenter = function(c) {
+	for (var i = 0; i < this.verts.length; i++) {
+		this.verts[i].subself(c);
+	}
+}
+
+ShapeChain.prototype.transform = function(xf) {
+	for (var i = 0; i < this.verts.length; i++) {
+		this.verts[i] = xf.transform(this.verts[i]);
+	}
+}
+
+ShapeChain.prototype.untransform = function(xf) {
+	for (var i = 0; i < this.verts.length; i++) {
+		this.verts[i] = xf.untransform(this.verts[i]);
+	}
+}
+
+// Chain has no area, so it gives no mass to the body
+ShapeChain.prototype.area = function() {
+	return 0;
+}
+
+ShapeChain.prototype.centroid = function() {
+	var c = new vec2(0, 0);
+	for (var i = 0; i < this.verts.length; i++) {
+		c.addself(this.verts[i]);
+	}
+
+	return this.verts.length > 0 ? c.scale(1 / this.verts.length) : c;
+}
+
+ShapeChain.prototype.inertia = function(mass) {
+	return 0;
+}
+
+ShapeChain.prototype.cacheData = function(xf) {
+	this.bounds.clear();
+
+	for (var i = 0; i < this.verts.length; i++) {
+		this.tverts[i] = xf.transform(this.verts[i]);
+		this.bounds.addPoint(this.tverts[i]);
+	}
+
+	for (var i = 0; i < this.edgeArr.length; i++) {
+		var edge = this.edgeArr[i];
+		edge.cacheData(xf);
+		edge.segment.cacheData(xf);
+		edge.tnormalA = xf.rotate(edge.normalA);
+		edge.tnormalB = xf.rotate(edge.normalB);
+	}
+}
+
+// Chain has no area
+ShapeChain.prototype.pointQuery = function(p) {
+	return false;
+}
+
+// Ray hits the front side of edges only
+ShapeChain.prototype.rayCast = function(p1, p2) {
+	var d = vec2.sub(p2, p1);
+	var result = null;
+
+	for (var i = 0; i < this.edgeArr.length; i++) {
+		var edge = this.edgeArr[i];
+		var n = edge.tplanes[0].n;
+		if (vec2.dot(n, d) >= 0) {
+			continue;
+		}
+
+		var t = rayCastLineSegment(p1, p2, edge.tverts[0], edge.tverts[1]);
+		if (t >= 0 && (!result || t < result.fraction)) {
+			result = { fraction: t, normal: n.duplicate() };
+		}
+	}
+
+	return result;
+}
+
+ShapeChain.prototype.findVertexByPoint = function(p, minDist) {
+	var dsq = minDist * minDist;
+
+	for (var i = 0; i < this.tverts.length; i++) {
+		if (vec2.distsq(this.tverts[i], p) < dsq) {
+			return i;
+		}
+	}
+
+	return -1;
+}
+
+ShapeChain.prototype.findEdgeByPoint = function(p, minDist) {
+	var dsq = minDist * minDist;
+
+	for (var i = 0; i < this.edgeArr.length; i++) {
+		var edge = this.edgeArr[i];
+		if (vec2.distsq(p, closestPointOnSegment(p, edge.tverts[0], edge.tverts[1])) < dsq) {
+			return i;
+		}
+	}
+
+	return -1;
+}
+
+// Normal from the edge to the other shape is within the limits of the edge
+ShapeChain.prototype.isValidNormal = function(index, n) {
+	var edge = this.edgeArr[index];
+	var tolerance = 0.001;
+
+	return vec2.cross(edge.tnormalA, n) >= -tolerance && vec2.cross(n, edge.tnormalB) >= -tolerance && vec2.dot(n, edge.tplanes[0].n) > 0;
+}
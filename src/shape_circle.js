@@ -48,6 +48,10 @@ ShapeCircle.prototype.serialize = function() {
 		"e": this.e,
 		"u": this.u,
 		"density": this.density,
+		"isSensor": this.isSensor,
+		"categoryBits": this.categoryBits,
+		"maskBits": this.maskBits,
+		"groupIndex": this.groupIndex,
 		"center": this.c,
 		"radius": this.r
 	};
@@ -87,6 +91,10 @@ ShapeCircle.prototype.pointQuery = function(p) {
 	return vec2.distsq(this.tc, p) < (this.r * this.r);
 }
 
+ShapeCircle.prototype.rayCast = function(p1, p2) {
+	return rayCastCircle(p1, p2, this.tc, this.r);
+}
+
 ShapeCircle.prototype.findVertexByPoint = function(p, minDist) {
 	var dsq = minDist * minDist;
 
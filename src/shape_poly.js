@@ -18,12 +18,18 @@
 */
 
 //--------------------------------
-// ShapePoly (convex only)
+// ShapePoly
 //--------------------------------
 
-ShapePoly = function(verts) {
+// Concave polygon is decomposed into the convex parts internally,
+// which are used for the collision detection and queries instead of the outline.
+// Polygon with the radius has the rounded corners (skin around the polygon).
+
+ShapePoly = function(verts, radius) {
 	Shape.call(this, Shape.TYPE_POLY);
 
+	this.r = radius || 0;
+
 	this.verts = [];
 	this.planes = [];
    
@@ -48,12 +54,21 @@ ShapePoly.prototype = new Shape;
 ShapePoly.prototype.constructor = ShapePoly;
 
 ShapePoly.prototype.finishVerts = function() {
+	this.r = Math.abs(this.r);
+	this.convexParts = null;
+	this.validOutline = true;
+
 	if (this.verts.length < 2) {
 		this.convexity = false;
 		this.planes = [];
 		return;
 	}
 
+	// Clockwise outline is reversed to be counter-clockwise
+	if (areaForPoly(this.verts) < 0) {
+		this.verts.reverse();
+	}
+
 	this.convexity = true;
 	this.tverts = [];
 	this.tplanes = [];	
@@ -84,10 +99,24 @@ ShapePoly.prototype.finishVerts = function() {
 			this.convexity = false;
 		}
 	}
+
+	if (!this.convexity) {
+		var polyArr = decomposePoly(this.verts);
+		if (!polyArr) {
+			// Self-intersecting outline falls back to the convex hull
+			this.validOutline = false;
+			polyArr = [createConvexHull(this.verts)];
+		}
+
+		this.convexParts = [];
+		for (var i = 0; i < polyArr.length; i++) {
+			this.convexParts[i] = new ShapePoly(polyArr[i], this.r);
+		}
+	}
 }
 
 ShapePoly.prototype.duplicate = function() {
-	return new ShapePoly(this.verts);
+	return new ShapePoly(this.verts, this.r);
 }
 
 ShapePoly.prototype.serialize = function() {
@@ -96,7 +125,12 @@ ShapePoly.prototype.serialize = function() {
 		"e": this.e,
 		"u": this.u,
 		"density": this.density,
-		"verts": this.verts
+		"isSensor": this.isSensor,
+		"categoryBits": this.categoryBits,
+		"maskBits": this.maskBits,
+		"groupIndex": this.groupIndex,
+		"verts": this.verts,
+		"radius": this.r
 	};
 }
 
@@ -119,14 +153,26 @@ ShapePoly.prototype.untransform = function(xf) {
 }
 
 ShapePoly.prototype.area = function() {
+	if (this.r > 0) {
+		return areaForRoundedPoly(this.verts, this.r);
+	}
+
 	return areaForPoly(this.verts);
 }
 
 ShapePoly.prototype.centroid = function() {
+	if (this.r > 0) {
+		return centroidForRoundedPoly(this.verts, this.r);
+	}
+
 	return centroidForPoly(this.verts);
 }
 
 ShapePoly.prototype.inertia = function(mass) {
+	if (this.r > 0) {
+		return inertiaForRoundedPoly(mass, this.verts, this.r);
+	}
+
 	return inertiaForPoly(mass, this.verts, vec2.zero);
 }
 
@@ -144,6 +190,7 @@ ShapePoly.prototype.cacheData = function(xf) {
 
 	if (numVerts < 2) {
 		this.bounds.addPoint(this.tverts[0]);
+		this.bounds.expand(this.r, this.r);
 		return;
 	}	
 
@@ -158,6 +205,14 @@ ShapePoly.prototype.cacheData = function(xf) {
 
 		this.bounds.addPoint(a);
 	}
+
+	this.bounds.expand(this.r, this.r);
+
+	if (this.convexParts) {
+		for (var i = 0; i < this.convexParts.length; i++) {
+			this.convexParts[i].cacheData(xf);
+		}
+	}
 }
 
 ShapePoly.prototype.pointQuery = function(p) {
@@ -165,7 +220,108 @@ ShapePoly.prototype.pointQuery = function(p) {
 		return false;
 	}
 
-	return this.containPoint(p);
+	if (this.containPoint(p)) {
+		return true;
+	}
+
+	// Rounded skin around the polygon
+	if (this.r > 0) {
+		var numVerts = this.tverts.length;
+		for (var i = 0; i < numVerts; i++) {
+			if (vec2.distsq(p, closestPointOnSegment(p, this.tverts[i], this.tverts[(i + 1) % numVerts])) < this.r * this.r) {
+				return true;
+			}
+		}
+	}
+
+	return false;
+}
+
+// Clip the ray by all the planes of polygon (Cyrus-Beck)
+ShapePoly.prototype.rayCast = function(p1, p2) {
+	if (this.convexParts) {
+		if (this.containPoint(p1)) {
+			return null;
+		}
+
+		var result = null;
+		for (var i = 0; i < this.convexParts.length; i++) {
+			var partResult = this.convexParts[i].rayCast(p1, p2);
+			if (partResult && (!result || partResult.fraction < result.fraction)) {
+				result = partResult;
+			}
+		}
+
+		return result;
+	}
+
+	if (this.r > 0) {
+		return this.rayCastRounded(p1, p2);
+	}
+
+	var d = vec2.sub(p2, p1);
+	var lower = 0;
+	var upper = 1;
+	var index = -1;
+
+	for (var i = 0; i < this.tplanes.length; i++) {
+		var plane = this.tplanes[i];
+		var numerator = plane.d - vec2.dot(plane.n, p1);
+		var denominator = vec2.dot(plane.n, d);
+
+		if (denominator == 0) {
+			// Parallel to the plane and outside of it
+			if (numerator < 0) {
+				return null;
+			}
+		}
+		else if (denominator < 0 && numerator < lower * denominator) {
+			// Entering the plane
+			lower = numerator / denominator;
+			index = i;
+		}
+		else if (denominator > 0 && numerator < upper * denominator) {
+			// Leaving the plane
+			upper = numerator / denominator;
+		}
+
+		if (upper < lower) {
+			return null;
+		}
+	}
+
+	// No hit if the ray starts inside of the polygon
+	if (index == -1) {
+		return null;
+	}
+
+	return { fraction: lower, normal: this.tplanes[index].n.duplicate() };
+}
+
+// Rounded polygon is the union of the offset edges and the circles on the corners
+ShapePoly.prototype.rayCastRounded = function(p1, p2) {
+	if (this.pointQuery(p1)) {
+		return null;
+	}
+
+	var result = null;
+	var numVerts = this.tverts.length;
+
+	for (var i = 0; i < numVerts; i++) {
+		var n = this.tplanes[i].n;
+		var offset = vec2.scale(n, this.r);
+		var t = rayCastLineSegment(p1, p2, vec2.add(this.tverts[i], offset), vec2.add(this.tverts[(i + 1) % numVerts], offset));
+		if (t >= 0 && (!result || t < result.fraction)) {
+			result = { fraction: t, normal: n.duplicate() };
+		}
+
+		var circleResult = rayCastCircle(p1, p2, this.tverts[i], this.r);
+		if (circleResult && (!result || circleResult.fraction < result.fraction)) {
+			result = circleResult;
+		}
+	}
+
+	return result;
 }
 
 ShapePoly.prototype.findVertexByPoint = function(p, minDist) {
@@ -223,6 +379,16 @@ ShapePoly.prototype.distanceOnPlane = function(n, d) {
 }
 
 ShapePoly.prototype.containPoint = function(p) {
+	if (this.convexParts) {
+		for (var i = 0; i < this.convexParts.length; i++) {
+			if (this.convexParts[i].containPoint(p)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	for (var i = 0; i < this.verts.length; i++) {
 		var plane = this.tplanes[i];
 		if (vec2.dot(plane.n, p) - plane.d > 0) {
@@ -279,4 +445,25 @@ ShapeBox = function(local_x, local_y, w, h) {
 	];
 
 	return new ShapePoly(verts);
-}
\ No newline at end of file
+}
+
+//--------------------------------
+// Rounded box
+//--------------------------------
+
+// w, h are the outer size including the rounded corners
+ShapeRoundedBox = function(local_x, local_y, w, h, radius) {
+	local_x = local_x || 0;
+	local_y = local_y || 0;
+
+	var hw = Math.max(w * 0.5 - radius, 0);
+	var hh = Math.max(h * 0.5 - radius, 0);
+	var verts = [
+		new vec2(-hw + local_x, +hh + local_y),
+		new vec2(-hw + local_x, -hh + local_y),
+		new vec2(+hw + local_x, -hh + local_y),
+		new vec2(+hw + local_x, +hh + local_y)
+	];
+
+	return new ShapePoly(verts, radius);
+}
@@ -56,6 +56,10 @@ ShapeSegment.prototype.serialize = function() {
 		"e": this.e,
 		"u": this.u,
 		"density": this.density,
+		"isSensor": this.isSensor,
+		"categoryBits": this.categoryBits,
+		"maskBits": this.maskBits,
+		"groupIndex": this.groupIndex,
 		"a": this.a, 
 		"b": this.b,
 		"radius": this.r
@@ -148,6 +152,37 @@ ShapeSegment.prototype.pointQuery = function(p) {
 	return true;
 }
 
+ShapeSegment.prototype.rayCast = function(p1, p2) {
+	if (this.pointQuery(p1)) {
+		return null;
+	}
+
+	var result = null;
+
+	// Side edge facing the ray
+	var n = vec2.dot(vec2.sub(p2, p1), this.tn) < 0 ? this.tn.duplicate() : vec2.neg(this.tn);
+	var offset = vec2.scale(n, this.r);
+	var t = rayCastLineSegment(p1, p2, vec2.add(this.ta, offset), vec2.add(this.tb, offset));
+	if (t >= 0) {
+		result = { fraction: t, normal: n };
+	}
+
+	// Rounded caps
+	if (this.r > 0) {
+		var resultA = rayCastCircle(p1, p2, this.ta, this.r);
+		if (resultA && (!result || resultA.fraction < result.fraction)) {
+			result = resultA;
+		}
+
+		var resultB = rayCastCircle(p1, p2, this.tb, this.r);
+		if (resultB && (!result || resultB.fraction < result.fraction)) {
+			result = resultB;
+		}
+	}
+
+	return result;
+}
+
 ShapeSegment.prototype.findVertexByPoint = function(p, minDist) {
 	var dsq = minDist * minDist;
 
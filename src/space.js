@@ -17,7 +17,12 @@
 * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 */
 
-function Space() {
+// Profiling stats of the last step
+var stats = {};
+
+function Space(broadPhase) {
+	this.broadPhase = broadPhase || new DynamicTree;
+
 	this.bodyArr = [];
 	this.bodyHash = {};
 
@@ -27,10 +32,29 @@ function Space() {
 	this.numContacts = 0;
 	this.contactSolverArr = [];
 
+	// Contact solvers keyed on shape pair
+	this.contactSolverHash = {};
+
+	// Collision callbacks
+	// beginContact/endContact: called when the shapes start/stop touching
+	// preSolve: called every step before solving, set arb.enabled = false to ignore the contact
+	// or change arb.e, arb.u for this step
+	// postSolve: called every step after solving
+	// shouldCollide: called for the shape pair passed the filters before the narrow phase,
+	// return false to ignore the pair
+	this.beginContact = function(arb) {};
+	this.endContact = function(arb) {};
+	this.preSolve = function(arb) {};
 	this.postSolve = function(arb) {};
+	this.shouldCollide = function(shape1, shape2) { return true; };
+
+	// Collision handlers registered for specific body or category
+	this.collisionHandlerArr = [];
 
 	this.gravity = new vec2(0, 0);
 	this.damping = 0;
+
+	this.stepCount = 0;
 }
 
 Space.TIME_TO_SLEEP = 0.5;
@@ -55,10 +79,19 @@ Space.prototype.clear = function() {
 	this.jointHash = {};
 
 	this.contactSolverArr = [];
+	this.contactSolverHash = {};
+
+	this.collisionHandlerArr = [];
 
 	this.stepCount = 0;
 }
 
+// Version of the scene format written by Space.toJSON
+//
+// 0: initial format without version, joints refer the bodies by the index
+// 1: body ids, full body/joint properties, space gravity & damping
+Space.SCENE_VERSION = 1;
+
 Space.prototype.toJSON = function(key) {
 	var o_bodies = [];
 	for (var i = 0; i < this.bodyArr.length; i++) {
@@ -69,26 +102,279 @@ Space.prototype.toJSON = function(key) {
 
 	var o_joints = [];
 	for (var i = 0; i < this.jointArr.length; i++) {
-		if (this.jointArr[i]) {
-			o_joints.push(this.jointHash[i].serialize());
+		var joint = this.jointArr[i];
+		if (!joint) {
+			continue;
+		}
+
+		// Skip temporary joints which are linked to the body out of this space (e.g. mouse joint)
+		if (this.bodyHash[joint.body1.id] == undefined || this.bodyHash[joint.body2.id] == undefined) {
+			continue;
 		}
+
+		o_joints.push(joint.serialize());
 	}
 
 	return {
+		version: Space.SCENE_VERSION,
+		gravity: this.gravity,
+		damping: this.damping,
 		bodies: o_bodies,
 		joints: o_joints
 	};
 }
 
+// Upgrade the scene data of older version to the current version
+Space.migrateScene = function(config) {
+	var version = config.version || 0;
+
+	if (version > Space.SCENE_VERSION) {
+		throw new Error("Invalid scene: version " + version + " is newer than the supported version " + Space.SCENE_VERSION);
+	}
+
+	if (version < 1) {
+		// Body ids were reset on loading, so the ids of joint bodies are the indices of the bodies
+		// Body angle was never written (serialized from undefined xf.a)
+		var bodies = config.bodies || [];
+		for (var i = 0; i < bodies.length; i++) {
+			bodies[i].id = i;
+			if (bodies[i].angle == undefined) {
+				bodies[i].angle = 0;
+			}
+		}
+
+		// WeldJoint was saved with two anchors but loaded with one
+		var joints = config.joints || [];
+		for (var i = 0; i < joints.length; i++) {
+			if (joints[i].type == "WeldJoint" && joints[i].anchor == undefined) {
+				joints[i].anchor = joints[i].anchor1;
+			}
+		}
+	}
+
+	config.version = Space.SCENE_VERSION;
+
+	return config;
+}
+
+// Check the scene data of current version.
+// Throws an error which names the offending entity.
+Space.validateScene = function(config) {
+	function fail(entity, message) {
+		throw new Error("Invalid scene: " + entity + ": " + message);
+	}
+
+	function checkNumber(entity, obj, key, optional) {
+		if (optional && obj[key] == undefined) {
+			return;
+		}
+
+		if (typeof obj[key] != "number" || !isFinite(obj[key])) {
+			fail(entity, "'" + key + "' should be a number");
+		}
+	}
+
+	function checkVector(entity, obj, key, optional) {
+		if (optional && obj[key] == undefined) {
+			return;
+		}
+
+		var v = obj[key];
+		if (!v || typeof v.x != "number" || typeof v.y != "number" || !isFinite(v.x) || !isFinite(v.y)) {
+			fail(entity, "'" + key + "' should be a vector {x, y}");
+		}
+	}
+
+	if (!config || !Array.isArray(config.bodies)) {
+		fail("scene", "'bodies' should be an array");
+	}
+
+	if (config.joints != undefined && !Array.isArray(config.joints)) {
+		fail("scene", "'joints' should be an array");
+	}
+
+	checkVector("scene", config, "gravity", true);
+	checkNumber("scene", config, "damping", true);
+
+	var bodyIdHash = {};
+
+	for (var i = 0; i < config.bodies.length; i++) {
+		var config_body = config.bodies[i] || {};
+		var entity = "body '" + config_body.name + "' (bodies[" + i + "])";
+
+		checkNumber(entity, config_body, "id");
+		if (bodyIdHash[config_body.id]) {
+			fail(entity, "duplicated id " + config_body.id);
+		}
+		bodyIdHash[config_body.id] = true;
+
+		if (["static", "kinetic", "dynamic"].indexOf(config_body.type) == -1) {
+			fail(entity, "unknown body type '" + config_body.type + "'");
+		}
+
+		checkVector(entity, config_body, "position");
+		checkNumber(entity, config_body, "angle");
+		checkVector(entity, config_body, "velocity", true);
+		["angularVelocity", "linearDamping", "angularDamping", "categoryBits", "maskBits", "groupIndex"].forEach(function(key) {
+			checkNumber(entity, config_body, key, true);
+		});
+
+		if (!Array.isArray(config_body.shapes)) {
+			fail(entity, "'shapes' should be an array");
+		}
+
+		for (var j = 0; j < config_body.shapes.length; j++) {
+			var config_shape = config_body.shapes[j] || {};
+			var shapeEntity = entity + " shapes[" + j + "]";
+
+			switch (config_shape.type) {
+			case "ShapeCircle":
+				checkVector(shapeEntity, config_shape, "center");
+				checkNumber(shapeEntity, config_shape, "radius");
+				break;
+			case "ShapeSegment":
+				checkVector(shapeEntity, config_shape, "a");
+				checkVector(shapeEntity, config_shape, "b");
+				checkNumber(shapeEntity, config_shape, "radius");
+				break;
+			case "ShapePoly":
+				if (!Array.isArray(config_shape.verts) || config_shape.verts.length < 3) {
+					fail(shapeEntity, "'verts' should be an array of 3 or more vertices");
+				}
+
+				for (var k = 0; k < config_shape.verts.length; k++) {
+					checkVector(shapeEntity, config_shape.verts, k);
+				}
+				checkNumber(shapeEntity, config_shape, "radius", true);
+				break;
+			case "ShapeChain":
+				if (!Array.isArray(config_shape.verts) || config_shape.verts.length < 2) {
+					fail(shapeEntity, "'verts' should be an array of 2 or more vertices");
+				}
+
+				for (var k = 0; k < config_shape.verts.length; k++) {
+					checkVector(shapeEntity, config_shape.verts, k);
+				}
+				break;
+			default:
+				fail(shapeEntity, "unknown shape type '" + config_shape.type + "'");
+			}
+
+			["e", "u", "density", "categoryBits", "maskBits", "groupIndex"].forEach(function(key) {
+				checkNumber(shapeEntity, config_shape, key, true);
+			});
+		}
+	}
+
+	var jointTypeHash = {};
+
+	var joints = config.joints || [];
+	for (var i = 0; i < joints.length; i++) {
+		var config_joint = joints[i] || {};
+		var entity = "joint '" + config_joint.type + "' (joints[" + i + "])";
+
+		if (!bodyIdHash[config_joint.body1]) {
+			fail(entity, "'body1' refers unknown body id " + config_joint.body1);
+		}
+
+		if (!bodyIdHash[config_joint.body2]) {
+			fail(entity, "'body2' refers unknown body id " + config_joint.body2);
+		}
+
+		if (config_joint.body1 == config_joint.body2) {
+			fail(entity, "'body1' and 'body2' should be different bodies");
+		}
+
+		switch (config_joint.type) {
+		case "AngleJoint":
+			break;
+		case "RevoluteJoint":
+		case "WeldJoint":
+			checkVector(entity, config_joint, "anchor");
+			break;
+		case "PulleyJoint":
+			checkVector(entity, config_joint, "anchor1");
+			checkVector(entity, config_joint, "anchor2");
+			checkVector(entity, config_joint, "groundAnchor1");
+			checkVector(entity, config_joint, "groundAnchor2");
+			checkNumber(entity, config_joint, "ratio");
+			if (config_joint.ratio <= 0) {
+				fail(entity, "'ratio' should be positive");
+			}
+			break;
+		case "FrictionJoint":
+			checkVector(entity, config_joint, "anchor");
+			checkNumber(entity, config_joint, "maxFrictionForce", true);
+			checkNumber(entity, config_joint, "maxFrictionTorque", true);
+			break;
+		case "MotorJoint":
+			checkVector(entity, config_joint, "linearOffset");
+			checkNumber(entity, config_joint, "angularOffset");
+			checkNumber(entity, config_joint, "maxMotorForce", true);
+			checkNumber(entity, config_joint, "maxTorque", true);
+			checkNumber(entity, config_joint, "correctionFactor", true);
+			break;
+		case "GearJoint":
+			["joint1", "joint2"].forEach(function(key) {
+				var type = jointTypeHash[config_joint[key]];
+				if (type != "RevoluteJoint" && type != "PrismaticJoint") {
+					fail(entity, "'" + key + "' should refer the preceding revolute or prismatic joint");
+				}
+			});
+			checkNumber(entity, config_joint, "ratio");
+			if (config_joint.ratio == 0) {
+				fail(entity, "'ratio' should not be zero");
+			}
+			break;
+		case "WheelJoint":
+		case "PrismaticJoint":
+		case "DistanceJoint":
+		case "RopeJoint":
+		case "MaxDistanceJoint":
+		case "SpringJoint":
+			checkVector(entity, config_joint, "anchor1");
+			checkVector(entity, config_joint, "anchor2");
+			break;
+		default:
+			fail(entity, "unknown joint type");
+		}
+
+		checkVector(entity, config_joint, "localAnchor1", true);
+		checkVector(entity, config_joint, "localAnchor2", true);
+		checkNumber(entity, config_joint, "maxForce", true);
+
+		if (config_joint.id != undefined) {
+			jointTypeHash[config_joint.id] = config_joint.type;
+		}
+	}
+}
+
 Space.prototype.create = function(text) {
-	var config = JSON.parse(text);
+	var config = Space.migrateScene(typeof text == "string" ? JSON.parse(text) : text);
+
+	Space.validateScene(config);
 
 	this.clear();
 
+	if (config.gravity) {
+		this.gravity = new vec2(config.gravity.x, config.gravity.y);
+	}
+
+	if (config.damping != undefined) {
+		this.damping = config.damping;
+	}
+
+	// Scene body id to the created body
+	var bodyIdMap = {};
+
 	for (var i = 0; i < config.bodies.length; i++) {
 		var config_body = config.bodies[i];
-		var type = {"static": Body.Static, "kinetic": Body.KINETIC, "dynamic": Body.DYNAMIC}[config_body.type];
-		var body = new Body(type, config_body.position.x, config_body.position.y, config_body.angle);
+		var type = {"static": Body.STATIC, "kinetic": Body.KINETIC, "dynamic": Body.DYNAMIC}[config_body.type];
+		var body = new Body(type, new vec2(config_body.position.x, config_body.position.y), config_body.angle);
+
+		if (config_body.name != undefined) {
+			body.name = config_body.name;
+		}
 
 		for (var j = 0; j < config_body.shapes.length; j++) {
 			var config_shape = config_body.shapes[j];
@@ -99,28 +385,73 @@ Space.prototype.create = function(text) {
 					shape = new ShapeCircle(config_shape.center.x, config_shape.center.y, config_shape.radius);                
 					break;
 				case "ShapeSegment":
-					shape = new ShapeSegment(config_shape.a, config_shape.b, config_shape.radius);
+					shape = new ShapeSegment(new vec2(config_shape.a.x, config_shape.a.y), new vec2(config_shape.b.x, config_shape.b.y), config_shape.radius);
 					break;
 				case "ShapePoly":
-					shape = new ShapePoly(config_shape.verts);
+					var verts = [];
+					for (var k = 0; k < config_shape.verts.length; k++) {
+						verts.push(new vec2(config_shape.verts[k].x, config_shape.verts[k].y));
+					}
+					shape = new ShapePoly(verts, config_shape.radius);
+					break;
+				case "ShapeChain":
+					var verts = [];
+					for (var k = 0; k < config_shape.verts.length; k++) {
+						verts.push(new vec2(config_shape.verts[k].x, config_shape.verts[k].y));
+					}
+					shape = new ShapeChain(verts, config_shape.loop);
 					break;
 			}
 			
-			shape.e = config_shape.e;
-			shape.u = config_shape.u;
-			shape.density = config_shape.density;
+			if (config_shape.e != undefined) {
+				shape.e = config_shape.e;
+			}
+			if (config_shape.u != undefined) {
+				shape.u = config_shape.u;
+			}
+			if (config_shape.density != undefined) {
+				shape.density = config_shape.density;
+			}
+			shape.isSensor = config_shape.isSensor || false;
+			if (config_shape.categoryBits != undefined) {
+				shape.categoryBits = config_shape.categoryBits;
+			}
+			if (config_shape.maskBits != undefined) {
+				shape.maskBits = config_shape.maskBits;
+			}
+			shape.groupIndex = config_shape.groupIndex || 0;
 
 			body.addShape(shape);
 		}
+
+		body.linearDamping = config_body.linearDamping || 0;
+		body.angularDamping = config_body.angularDamping || 0;
+		body.fixedRotation = config_body.fixedRotation || false;
+		body.bullet = config_body.bullet || false;
+		if (config_body.categoryBits != undefined) {
+			body.categoryBits = config_body.categoryBits;
+		}
+		if (config_body.maskBits != undefined) {
+			body.maskBits = config_body.maskBits;
+		}
+		body.groupIndex = config_body.groupIndex || 0;
 		
 		body.resetMassData();
 		this.addBody(body);
+
+		bodyIdMap[config_body.id] = body;
 	}
 
-	for (var i = 0; i < config.joints.length; i++) {
-		var config_joint = config.joints[i];
-		var body1 = this.bodyArr[this.bodyHash[config_joint.body1]];
-		var body2 = this.bodyArr[this.bodyHash[config_joint.body2]];
+	var jointIdMap = {};
+
+	var joints = config.joints || [];
+	for (var i = 0; i < joints.length; i++) {
+		var config_joint = joints[i];
+		var body1 = bodyIdMap[config_joint.body1];
+		var body2 = bodyIdMap[config_joint.body2];
+		var anchor1 = config_joint.anchor1 && new vec2(config_joint.anchor1.x, config_joint.anchor1.y);
+		var anchor2 = config_joint.anchor2 && new vec2(config_joint.anchor2.x, config_joint.anchor2.y);
+		var anchor = config_joint.anchor && new vec2(config_joint.anchor.x, config_joint.anchor.y);
 		var joint;
 
 		switch (config_joint.type) {
@@ -128,43 +459,325 @@ Space.prototype.create = function(text) {
 			joint = new AngleJoint(body1, body2);
 			break;
 		case "RevoluteJoint":
-			joint = new RevoluteJoint(body1, body2, config_joint.anchor);
-			joint.enableLimit(config_joint.limitEnabled);
-			joint.setLimits(config_joint.limitLowerAngle, config_joint.limitUpperAngle);
-			joint.enableMotor(config_joint.motorEnabled);
-			joint.setMotorSpeed(config_joint.motorSpeed);
-			joint.setMaxMotorTorque(config_joint.maxMotorTorque);
+			joint = new RevoluteJoint(body1, body2, anchor);
+			joint.enableLimit(config_joint.limitEnabled || false);
+			joint.setLimits(config_joint.limitLowerAngle || 0, config_joint.limitUpperAngle || 0);
+			joint.enableMotor(config_joint.motorEnabled || false);
+			joint.setMotorSpeed(config_joint.motorSpeed || 0);
+			joint.setMaxMotorTorque(config_joint.maxMotorTorque || 0);
 			break;
 		case "WeldJoint":
-			joint = new WeldJoint(body1, body2, config_joint.anchor);
-			joint.setSpringFrequencyHz(config_joint.frequencyHz);
-			joint.setSpringDampingRatio(config_joint.dampingRatio);
+			joint = new WeldJoint(body1, body2, anchor);
+			joint.setSpringFrequencyHz(config_joint.frequencyHz || 0);
+			joint.setSpringDampingRatio(config_joint.dampingRatio || 0);
 			break;
 		case "WheelJoint":
-			joint = new WheelJoint(body1, body2, config_joint.anchor1, config_joint.anchor2);
-			joint.enableMotor(config_joint.motorEnabled);
-			joint.setMotorSpeed(config_joint.motorSpeed);
-			joint.setMaxMotorTorque(config_joint.maxMotorTorque);
+			joint = new WheelJoint(body1, body2, anchor1, anchor2);
+			joint.enableMotor(config_joint.motorEnabled || false);
+			joint.setMotorSpeed(config_joint.motorSpeed || 0);
+			joint.setMaxMotorTorque(config_joint.maxMotorTorque || 0);
+			joint.setSpringFrequencyHz(config_joint.frequencyHz || 0);
+			joint.setSpringDampingRatio(config_joint.dampingRatio || 0);
 			break;
 		case "PrismaticJoint":
-			joint = new PrismaticJoint(body1, body2, config_joint.anchor1, config_joint.anchor2);
+			joint = new PrismaticJoint(body1, body2, anchor1, anchor2);
+			joint.enableLimit(config_joint.limitEnabled || false);
+			joint.setLimits(config_joint.limitLowerTranslation || 0, config_joint.limitUpperTranslation || 0);
+			joint.enableMotor(config_joint.motorEnabled || false);
+			joint.setMotorSpeed(config_joint.motorSpeed || 0);
+			joint.setMaxMotorForce(config_joint.maxMotorForce || 0);
 			break;
 		case "DistanceJoint":                
-			joint = new DistanceJoint(body1, body2, config_joint.anchor1, config_joint.anchor2);
-			joint.setSpringFrequencyHz(config_joint.frequencyHz);
-			joint.setSpringDampingRatio(config_joint.dampingRatio);
+			joint = new DistanceJoint(body1, body2, anchor1, anchor2);
+			joint.setSpringFrequencyHz(config_joint.frequencyHz || 0);
+			joint.setSpringDampingRatio(config_joint.dampingRatio || 0);
 			break;
 		case "RopeJoint":                
-			joint = new RopeJoint(body1, body2, config_joint.anchor1, config_joint.anchor2);
+			joint = new RopeJoint(body1, body2, anchor1, anchor2);
+			break;
+		case "MaxDistanceJoint":
+			joint = new MaxDistanceJoint(body1, body2, anchor1, anchor2, config_joint.minDist, config_joint.maxDist);
+			break;
+		case "SpringJoint":
+			joint = new SpringJoint(body1, body2, anchor1, anchor2, config_joint.restLength, config_joint.stiffness, config_joint.damping);
+			break;
+		case "PulleyJoint":
+			var groundAnchor1 = new vec2(config_joint.groundAnchor1.x, config_joint.groundAnchor1.y);
+			var groundAnchor2 = new vec2(config_joint.groundAnchor2.x, config_joint.groundAnchor2.y);
+			joint = new PulleyJoint(body1, body2, groundAnchor1, groundAnchor2, anchor1, anchor2, config_joint.ratio);
+			if (config_joint.totalLength != undefined) {
+				joint.totalLength = config_joint.totalLength;
+			}
 			break;
+		case "FrictionJoint":
+			joint = new FrictionJoint(body1, body2, anchor, config_joint.maxFrictionForce, config_joint.maxFrictionTorque);
+			break;
+		case "MotorJoint":
+			joint = new MotorJoint(body1, body2);
+			joint.setLinearOffset(new vec2(config_joint.linearOffset.x, config_joint.linearOffset.y));
+			joint.setAngularOffset(config_joint.angularOffset);
+			if (config_joint.maxMotorForce != undefined) {
+				joint.setMaxMotorForce(config_joint.maxMotorForce);
+			}
+			if (config_joint.maxTorque != undefined) {
+				joint.setMaxTorque(config_joint.maxTorque);
+			}
+			if (config_joint.correctionFactor != undefined) {
+				joint.setCorrectionFactor(config_joint.correctionFactor);
+			}
+			break;
+		case "GearJoint":
+			joint = new GearJoint(jointIdMap[config_joint.joint1], jointIdMap[config_joint.joint2], config_joint.ratio);
+			if (config_joint.constant != undefined) {
+				joint.constant = config_joint.constant;
+			}
+			break;
+		}
+
+		// Exact joint frame, which is computed from the world anchors in older versions
+		if (config_joint.localAnchor1) {
+			joint.anchor1 = new vec2(config_joint.localAnchor1.x, config_joint.localAnchor1.y);
+		}
+		if (config_joint.localAnchor2) {
+			joint.anchor2 = new vec2(config_joint.localAnchor2.x, config_joint.localAnchor2.y);
+		}
+		if (config_joint.localAxis) {
+			joint.u_local = new vec2(config_joint.localAxis.x, config_joint.localAxis.y);
+			joint.n_local = vec2.perp(joint.u_local);
+		}
+		if (config_joint.localNormal) {
+			joint.n_local = new vec2(config_joint.localNormal.x, config_joint.localNormal.y);
+		}
+		if (config_joint.refAngle != undefined) {
+			if (joint.type == Joint.TYPE_PRISMATIC) {
+				joint.da = config_joint.refAngle;
+			}
+			else {
+				joint.refAngle = config_joint.refAngle;
+			}
+		}
+		if (config_joint.restLength != undefined) {
+			joint.restLength = config_joint.restLength;
+		}
+		if (config_joint.maxDistance != undefined) {
+			joint.maxDistance = config_joint.maxDistance;
 		}
 
-		joint.collideConnected = config_joint.collideConnected;
-		joint.maxForce = config_joint.maxForce;
-		joint.breakable = config_joint.breakable;
+		if (config_joint.collideConnected != undefined) {
+			joint.collideConnected = config_joint.collideConnected;
+		}
+		if (config_joint.maxForce != undefined) {
+			joint.maxForce = config_joint.maxForce;
+		}
+		joint.breakable = config_joint.breakable || false;
 
 		this.addJoint(joint);
+
+		jointIdMap[config_joint.id] = joint;
+	}
+
+	// Adding joints wakes up the bodies, so restore the motion state at last
+	for (var i = 0; i < config.bodies.length; i++) {
+		var config_body = config.bodies[i];
+		var body = bodyIdMap[config_body.id];
+
+		if (config_body.awake === false) {
+			body.awake(false);
+		}
+
+		if (config_body.velocity) {
+			body.v.set(config_body.velocity.x, config_body.velocity.y);
+		}
+
+		body.w = config_body.angularVelocity || 0;
+	}
+}
+
+// Copy of the value type properties (number, boolean, string, vec2, vec3, mat2, mat3) of obj.
+// References to the other objects are not included.
+Space.saveState = function(obj) {
+	var state = {};
+	for (var key in obj) {
+		if (!obj.hasOwnProperty(key)) {
+			continue;
+		}
+
+		var value = obj[key];
+		if (typeof value == "number" || typeof value == "boolean" || typeof value == "string") {
+			state[key] = value;
+		}
+		else if (value instanceof vec2 || value instanceof vec3 || value instanceof mat2 || value instanceof mat3) {
+			state[key] = value.duplicate();
+		}
+	}
+
+	return state;
+}
+
+Space.loadState = function(obj, state) {
+	for (var key in state) {
+		var value = state[key];
+		obj[key] = typeof value == "object" ? value.duplicate() : value;
+	}
+}
+
+// Capture the full simulation state: body states, joint accumulated impulses
+// and contact solvers for warm starting.
+// Shapes are referenced but not copied, so adding/removing shapes is not rolled back.
+Space.prototype.snapshot = function() {
+	var snapshot = {
+		stepCount: this.stepCount,
+		gravity: this.gravity.duplicate(),
+		damping: this.damping,
+		idCounter: { body: Body.id_counter, shape: Shape.id_counter, joint: Joint.id_counter },
+		bodyArr: [],
+		jointArr: [],
+		contactSolverArr: [],
+		activeContactSolverArr: []
+	};
+
+	for (var i = 0; i < this.bodyArr.length; i++) {
+		var body = this.bodyArr[i];
+		if (!body) {
+			continue;
+		}
+
+		snapshot.bodyArr.push({
+			body: body,
+			state: Space.saveState(body),
+			xf: { t: body.xf.t.duplicate(), c: body.xf.c, s: body.xf.s },
+			jointArr: body.jointArr.filter(function(joint) { return joint; })
+		});
+	}
+
+	for (var i = 0; i < this.jointArr.length; i++) {
+		var joint = this.jointArr[i];
+		if (!joint) {
+			continue;
+		}
+
+		snapshot.jointArr.push({ joint: joint, state: Space.saveState(joint) });
+	}
+
+	var contactSolverIndex = {};
+	for (var key in this.contactSolverHash) {
+		var contactSolver = this.contactSolverHash[key];
+		contactSolverIndex[key] = snapshot.contactSolverArr.length;
+		snapshot.contactSolverArr.push({
+			shape1: contactSolver.shape1,
+			shape2: contactSolver.shape2,
+			state: Space.saveState(contactSolver),
+			contactArr: contactSolver.contactArr.map(function(contact) { return Space.saveState(contact); })
+		});
+	}
+
+	for (var i = 0; i < this.contactSolverArr.length; i++) {
+		var contactSolver = this.contactSolverArr[i];
+		snapshot.activeContactSolverArr.push(contactSolverIndex[Space.pairKey(contactSolver.shape1, contactSolver.shape2)]);
+	}
+
+	return snapshot;
+}
+
+// Roll back to the snapshot.
+// Bodies and joints added after the snapshot are removed and the removed ones are added back.
+// Stepping with the same inputs after restore gives bit-identical results.
+Space.prototype.restore = function(snapshot) {
+	var bodyInSnapshot = {};
+	for (var i = 0; i < snapshot.bodyArr.length; i++) {
+		bodyInSnapshot[snapshot.bodyArr[i].body.id] = true;
+	}
+
+	var jointInSnapshot = {};
+	for (var i = 0; i < snapshot.jointArr.length; i++) {
+		jointInSnapshot[snapshot.jointArr[i].joint.id] = true;
+	}
+
+	for (var i = 0; i < this.bodyArr.length; i++) {
+		var body = this.bodyArr[i];
+		if (body && !bodyInSnapshot[body.id]) {
+			this.removeBody(body);
+		}
+	}
+
+	for (var i = 0; i < this.jointArr.length; i++) {
+		var joint = this.jointArr[i];
+		if (joint && !jointInSnapshot[joint.id]) {
+			this.removeJoint(joint);
+		}
+	}
+
+	// Rebuild body and joint list in the order of snapshot
+	this.bodyArr = [];
+	this.bodyHash = {};
+
+	for (var i = 0; i < snapshot.bodyArr.length; i++) {
+		var entry = snapshot.bodyArr[i];
+		var body = entry.body;
+
+		this.bodyHash[body.id] = this.bodyArr.push(body) - 1;
+
+		Space.loadState(body, entry.state);
+		body.xf.t.copy(entry.xf.t);
+		body.xf.c = entry.xf.c;
+		body.xf.s = entry.xf.s;
+		body.sweep = null;
+
+		body.jointArr = [];
+		body.jointHash = {};
+		for (var j = 0; j < entry.jointArr.length; j++) {
+			body.jointHash[entry.jointArr[j].id] = body.jointArr.push(entry.jointArr[j]) - 1;
+		}
+
+		body.space = this;
+		body.cacheData();
+	}
+
+	this.jointArr = [];
+	this.jointHash = {};
+
+	for (var i = 0; i < snapshot.jointArr.length; i++) {
+		var entry = snapshot.jointArr[i];
+		this.jointHash[entry.joint.id] = this.jointArr.push(entry.joint) - 1;
+		Space.loadState(entry.joint, entry.state);
+	}
+
+	// Contact solvers are copied again, so the snapshot can be restored many times
+	var contactSolverArr = [];
+	this.contactSolverHash = {};
+
+	for (var i = 0; i < snapshot.contactSolverArr.length; i++) {
+		var entry = snapshot.contactSolverArr[i];
+		var contactSolver = new ContactSolver(entry.shape1, entry.shape2);
+		Space.loadState(contactSolver, entry.state);
+
+		for (var j = 0; j < entry.contactArr.length; j++) {
+			var contact = new Contact;
+			Space.loadState(contact, entry.contactArr[j]);
+			contactSolver.contactArr.push(contact);
+		}
+
+		contactSolverArr.push(contactSolver);
+		this.contactSolverHash[Space.pairKey(entry.shape1, entry.shape2)] = contactSolver;
 	}
+
+	this.contactSolverArr = [];
+	for (var i = 0; i < snapshot.activeContactSolverArr.length; i++) {
+		this.contactSolverArr.push(contactSolverArr[snapshot.activeContactSolverArr[i]]);
+	}
+
+	this.numContacts = 0;
+	for (var i = 0; i < this.contactSolverArr.length; i++) {
+		this.numContacts += this.contactSolverArr[i].contactArr.length;
+	}
+
+	Body.id_counter = snapshot.idCounter.body;
+	Shape.id_counter = snapshot.idCounter.shape;
+	Joint.id_counter = snapshot.idCounter.joint;
+
+	this.stepCount = snapshot.stepCount;
+	this.gravity.copy(snapshot.gravity);
+	this.damping = snapshot.damping;
 }
 
 Space.prototype.addBody = function(body) {
@@ -192,6 +805,22 @@ Space.prototype.removeBody = function(body) {
 		}
 	}
 
+	// Remove shape proxies from broad phase
+	for (var i = 0; i < body.shapeArr.length; i++) {
+		var shape = body.shapeArr[i];
+		if (shape.body == body && shape.proxyId != -1) {
+			this.broadPhase.destroyProxy(shape.proxyId);
+			shape.proxyId = -1;
+		}
+	}
+
+	// Remove collision handlers for this body
+	for (var i = this.collisionHandlerArr.length - 1; i >= 0; i--) {
+		if (this.collisionHandlerArr[i].body == body) {
+			this.collisionHandlerArr.splice(i, 1);
+		}
+	}
+
 	body.space = null;
 
 	var index = this.bodyHash[body.id];
@@ -236,6 +865,14 @@ Space.prototype.removeJoint = function(joint) {
 	var index = this.jointHash[joint.id];
 	delete this.jointHash[joint.id];
 	delete this.jointArr[index];
+
+	// Remove gear joints which couple this joint
+	for (var i = 0; i < this.jointArr.length; i++) {
+		var other = this.jointArr[i];
+		if (other && other.type == Joint.TYPE_GEAR && (other.joint1 == joint || other.joint2 == joint)) {
+			this.removeJoint(other);
+		}
+	}
 }
 
 Space.prototype.findShapeByPoint = function(p, refShape) {
@@ -330,10 +967,209 @@ Space.prototype.jointById = function(id) {
 	return null;
 }
 
-Space.prototype.findVertexByPoint = function(p, minDist, refVertexId) {
-	var firstVertexId = -1;
+// Call callback(shape) for each shape whose AABB overlaps the bounds.
+// Return false from callback to stop the query.
+Space.prototype.queryBounds = function(bounds, callback) {
+	this.broadPhase.query(bounds, function(shape) {
+		if (!shape.bounds.intersectsBounds(bounds)) {
+			return;
+		}
 
-	refVertexId = refVertexId || -1;
+		return callback(shape);
+	});
+}
+
+// Call callback(shape, contactArr) for each shape which overlaps the given shape placed with the transform.
+// The query shape doesn't need to be added to a body.
+// Return false from callback to stop the query.
+Space.prototype.queryShape = function(shape, xf, callback) {
+	shape.cacheData(xf);
+
+	var bounds = shape.bounds;
+
+	this.broadPhase.query(bounds, function(shape2) {
+		if (shape2 == shape || !shape2.bounds.intersectsBounds(bounds)) {
+			return;
+		}
+
+		var contactArr = [];
+		if (!collision.collide(shape, shape2, contactArr)) {
+			return;
+		}
+
+		return callback(shape2, contactArr);
+	});
+}
+
+Space.RAYCAST_CLOSEST = 0;
+Space.RAYCAST_ANY = 1;
+Space.RAYCAST_ALL = 2;
+
+// Cast a ray from p1 to p2.
+// filter (optional): {
+//   mode: RAYCAST_CLOSEST (default), RAYCAST_ANY or RAYCAST_ALL
+//   categoryBits, maskBits: tested against the bodies and the shapes like isCollidable (default 0xFFFF)
+//   includeSensors: hit sensor shapes too (default false)
+// }
+// callback (optional): called with each reported hit
+// Hit is { shape, point, normal, fraction } where fraction is in range [0, 1] along the ray.
+// Returns the hit (or null) for RAYCAST_CLOSEST and RAYCAST_ANY,
+// array of hits sorted by fraction for RAYCAST_ALL.
+Space.prototype.rayCast = function(p1, p2, filter, callback) {
+	filter = filter || {};
+
+	var mode = filter.mode || Space.RAYCAST_CLOSEST;
+	var categoryBits = filter.categoryBits != undefined ? filter.categoryBits : 0xFFFF;
+	var maskBits = filter.maskBits != undefined ? filter.maskBits : 0xFFFF;
+	var hitArr = [];
+
+	this.broadPhase.rayCast(p1, p2, function(shape) {
+		var body = shape.body;
+
+		if (!(maskBits & body.categoryBits) || !(body.maskBits & categoryBits) ||
+			!(maskBits & shape.categoryBits) || !(shape.maskBits & categoryBits)) {
+			return;
+		}
+
+		if (shape.isSensor && !filter.includeSensors) {
+			return;
+		}
+
+		var result = shape.rayCast(p1, p2);
+		if (!result) {
+			return;
+		}
+
+		hitArr.push({ shape: shape, point: vec2.lerp(p1, p2, result.fraction), normal: result.normal, fraction: result.fraction });
+
+		if (mode == Space.RAYCAST_ANY) {
+			return 0;
+		}
+
+		// Clip the ray to find closer one
+		if (mode == Space.RAYCAST_CLOSEST) {
+			return result.fraction;
+		}
+	});
+
+	hitArr.sort(function(a, b) { return a.fraction - b.fraction; });
+
+	if (mode == Space.RAYCAST_ALL) {
+		if (callback) {
+			for (var i = 0; i < hitArr.length; i++) {
+				callback(hitArr[i]);
+			}
+		}
+
+		return hitArr;
+	}
+
+	var hit = hitArr.length > 0 ? hitArr[0] : null;
+	if (hit && callback) {
+		callback(hit);
+	}
+
+	return hit;
+}
+
+// Sweep the shape from xf1 to xf2 and find the first hit.
+// The shape doesn't need to be added to a body.
+// filter is same as rayCast() except for mode.
+// Shapes already overlapping at xf1 are ignored.
+// Returns { shape, point, normal, fraction } or null.
+// normal points from the hit shape to the swept shape.
+Space.prototype.shapeCast = function(shape, xf1, xf2, filter) {
+	filter = filter || {};
+
+	var categoryBits = filter.categoryBits != undefined ? filter.categoryBits : 0xFFFF;
+	var maskBits = filter.maskBits != undefined ? filter.maskBits : 0xFFFF;
+
+	// Rotate around the centroid while sweeping
+	var centroid = shape.centroid();
+	var a1 = Math.atan2(xf1.s, xf1.c);
+	var a2 = Math.atan2(xf2.s, xf2.c);
+	var da = a2 - a1;
+	if (da > Math.PI) {
+		a2 -= Math.PI * 2;
+	}
+	else if (da < -Math.PI) {
+		a2 += Math.PI * 2;
+	}
+
+	var sweep = new Sweep(centroid, xf1.transform(centroid), a1, xf2.transform(centroid), a2);
+
+	// Bounds of the whole motion
+	shape.cacheData(xf1);
+	var sweptBounds = new Bounds(shape.bounds.mins, shape.bounds.maxs);
+	var radius = Math.max(vec2.dist(sweep.p0, sweptBounds.mins), vec2.dist(sweep.p0, sweptBounds.maxs),
+		vec2.dist(sweep.p0, new vec2(sweptBounds.mins.x, sweptBounds.maxs.y)), vec2.dist(sweep.p0, new vec2(sweptBounds.maxs.x, sweptBounds.mins.y)));
+	shape.cacheData(xf2);
+	sweptBounds.addBounds(shape.bounds);
+	sweptBounds.expand(Math.abs(a2 - a1) * radius, Math.abs(a2 - a1) * radius);
+
+	var hitShape = null;
+	var minToi = 1;
+
+	this.broadPhase.query(sweptBounds, function(shape2) {
+		var body = shape2.body;
+
+		if (shape2 == shape || !(maskBits & body.categoryBits) || !(body.maskBits & categoryBits) ||
+			!(maskBits & shape2.categoryBits) || !(shape2.maskBits & categoryBits)) {
+			return;
+		}
+
+		if (shape2.isSensor && !filter.includeSensors) {
+			return;
+		}
+
+		var toi = collision.timeOfImpact(shape, sweep, shape2, null);
+
+		// Time of impact is 1 without hit too, so the hit at the end of the sweep is found
+		// by overlapping at the end but not at the beginning (transformed data is left at the end)
+		if (toi == 1) {
+			if (!collision.collide(shape, shape2, [])) {
+				return;
+			}
+
+			shape.cacheData(xf1);
+			if (collision.collide(shape, shape2, [])) {
+				return;
+			}
+		}
+
+		if (!hitShape || toi < minToi) {
+			minToi = toi;
+			hitShape = shape2;
+		}
+	});
+
+	if (!hitShape) {
+		return null;
+	}
+
+	// Contacts at the time of impact give hit point and normal
+	shape.cacheData(sweep.getTransform(new Transform(new vec2(0, 0), 0), minToi));
+
+	var swapped = shape.type > hitShape.type;
+	var contactArr = [];
+	collision.collide(swapped ? hitShape : shape, swapped ? shape : hitShape, contactArr);
+
+	var point = new vec2(0, 0);
+	for (var i = 0; i < contactArr.length; i++) {
+		point.addself(contactArr[i].p);
+	}
+	point.scale(1 / contactArr.length);
+
+	// Contact normal is from the first shape to the second
+	var normal = swapped ? contactArr[0].n.duplicate() : vec2.neg(contactArr[0].n);
+
+	return { shape: hitShape, point: point, normal: normal, fraction: minToi };
+}
+
+Space.prototype.findVertexByPoint = function(p, minDist, refVertexId) {
+	var firstVertexId = -1;
+
+	refVertexId = refVertexId || -1;
 
 	for (var i = 0; i < this.bodyArr.length; i++) {
 		var body = this.bodyArr[i];
@@ -377,7 +1213,7 @@ Space.prototype.findEdgeByPoint = function(p, minDist, refEdgeId) {
 
 		for (var j = 0; j < body.shapeArr.length; j++) {
 			var shape = body.shapeArr[j];
-			if (shape.type != Shape.TYPE_POLY) {
+			if (shape.type != Shape.TYPE_POLY && shape.type != Shape.TYPE_CHAIN) {
 				continue;
 			}
 
@@ -442,12 +1278,61 @@ Space.prototype.findJointByPoint = function(p, minDist, refJointId) {
 	return firstJointId;
 }
 
-Space.prototype.findContactSolver = function(shape1, shape2) {
-	for (var i = 0; i < this.contactSolverArr.length; i++) {
-		var contactSolver = this.contactSolverArr[i];
-		if (shape1 == contactSolver.shape1 && shape2 == contactSolver.shape2) {
-			return contactSolver;
+// handler is an object which has any of beginContact, endContact, preSolve, postSolve functions.
+// It's called only for the contacts of the given body.
+Space.prototype.addBodyCollisionHandler = function(body, handler) {
+	this.collisionHandlerArr.push({ body: body, categoryBits: 0, handler: handler });
+}
+
+// Same as above but called for the contacts of the bodies which have any of categoryBits
+Space.prototype.addCategoryCollisionHandler = function(categoryBits, handler) {
+	this.collisionHandlerArr.push({ body: null, categoryBits: categoryBits, handler: handler });
+}
+
+Space.prototype.removeCollisionHandler = function(handler) {
+	for (var i = this.collisionHandlerArr.length - 1; i >= 0; i--) {
+		if (this.collisionHandlerArr[i].handler == handler) {
+			this.collisionHandlerArr.splice(i, 1);
+		}
+	}
+}
+
+// Call the space callback and all the matching collision handlers for the event
+Space.prototype.dispatchCollisionEvent = function(eventName, arb) {
+	// Shapes of endContact event might be already removed from the body
+	var body1 = arb.shape1.body;
+	var body2 = arb.shape2.body;
+	var categoryBits = (body1 ? body1.categoryBits : 0) | (body2 ? body2.categoryBits : 0);
+
+	this[eventName](arb);
+
+	for (var i = 0; i < this.collisionHandlerArr.length; i++) {
+		var entry = this.collisionHandlerArr[i];
+		if (!entry.handler[eventName]) {
+			continue;
 		}
+
+		if (entry.body) {
+			if (entry.body != body1 && entry.body != body2) {
+				continue;
+			}
+		}
+		else if (!(categoryBits & entry.categoryBits)) {
+			continue;
+		}
+
+		entry.handler[eventName](arb);
+	}
+}
+
+Space.pairKey = function(shape1, shape2) {
+	return shape1.id < shape2.id ? shape1.id + ":" + shape2.id : shape2.id + ":" + shape1.id;
+}
+
+Space.prototype.findContactSolver = function(shape1, shape2) {
+	var contactSolver = this.contactSolverHash[Space.pairKey(shape1, shape2)];
+	if (contactSolver) {
+		return contactSolver;
 	}
 
 	return null;
@@ -456,6 +1341,10 @@ Space.prototype.findContactSolver = function(shape1, shape2) {
 Space.prototype.genTemporalContactSolvers = function() {
 	var t0 = Date.now();
 	var newContactSolverArr = [];
+	var newContactSolverHash = {};
+	var broadPhase = this.broadPhase;
+	var pairArr = [];
+	var space = this;
 
 	this.numContacts = 0;
 
@@ -464,141 +1353,321 @@ Space.prototype.genTemporalContactSolvers = function() {
 		if (!body1) {
 			continue;
 		}
-		
-		body1.stepCount = this.stepCount;
 
-		for (var body2_index = 0; body2_index < this.bodyArr.length; body2_index++) {
-			var body2 = this.bodyArr[body2_index];
-			if (!body2) {
-				continue;
+		// Only active bodies query the broad phase.
+		// Pairs between inactive bodies are never needed.
+		if (!body1.isAwake() || body1.isStatic()) {
+			continue;
+		}
+
+		for (var i = 0; i < body1.shapeArr.length; i++) {
+			var shape1 = body1.shapeArr[i];
+
+			broadPhase.query(broadPhase.getFatBounds(shape1.proxyId), function(shape2) {
+				var body2 = shape2.body;
+				if (body2 == body1) {
+					return;
+				}
+
+				// Both of active shapes find each other, so take the pair only once
+				var active2 = body2.isAwake() && !body2.isStatic();
+				if (active2 && shape2.id < shape1.id) {
+					return;
+				}
+
+				if (!body1.isCollidable(body2) || !shape1.isCollidable(shape2)) {
+					return;
+				}
+
+				if (!shape1.bounds.intersectsBounds(shape2.bounds)) {
+					return;
+				}
+
+				if (!space.shouldCollide(shape1, shape2)) {
+					return;
+				}
+
+				pairArr.push(shape1.id < shape2.id ? [shape1, shape2] : [shape2, shape1]);
+			});
+		}
+	}
+
+	// Order of the pairs found by broad phase depends on the tree structure,
+	// so sort them by shape ids to keep the solver order deterministic
+	pairArr.sort(function(a, b) {
+		return (a[0].id - b[0].id) || (a[1].id - b[1].id);
+	});
+
+	for (var i = 0; i < pairArr.length; i++) {
+		this.genContactSolver(pairArr[i][0], pairArr[i][1], newContactSolverArr, newContactSolverHash);
+	}
+
+	// Contact solvers of the pairs which are not touching any more are dropped here
+	for (var key in this.contactSolverHash) {
+		if (newContactSolverHash[key]) {
+			continue;
+		}
+
+		var contactSolver = this.contactSolverHash[key];
+		var body1 = contactSolver.shape1.body;
+		var body2 = contactSolver.shape2.body;
+
+		// Pair of inactive bodies are not tested in broad phase, but they are still touching
+		if (body1 && body2 && body1.space == this && body2.space == this &&
+			(!body1.isAwake() || body1.isStatic()) && (!body2.isAwake() || body2.isStatic())) {
+			newContactSolverHash[key] = contactSolver;
+			continue;
+		}
+
+		this.dispatchCollisionEvent("endContact", contactSolver);
+	}
+
+	this.contactSolverHash = newContactSolverHash;
+
+	stats.timeCollision = Date.now() - t0;
+
+	return newContactSolverArr;
+}
+
+Space.prototype.genContactSolver = function(shape1, shape2, contactSolverArr, contactSolverHash) {
+	// Keep the order of shape pair consistent regardless of which one found the other
+	if (shape1.type > shape2.type || (shape1.type == shape2.type && shape1.id > shape2.id)) {
+		var temp = shape1;
+		shape1 = shape2;
+		shape2 = temp;
+	}
+
+	var contactArr = [];
+	if (!collision.collide(shape1, shape2, contactArr)) {
+		return;
+	}
+
+	// Sensor pair is kept only to report overlap events
+	var sensor = shape1.isSensor || shape2.isSensor;
+
+	var contactSolver = this.findContactSolver(shape1, shape2);
+	var isNew = !contactSolver;
+	if (contactSolver) {
+		contactSolver.update(contactArr);
+	}
+	else {
+		if (!sensor) {
+			shape1.body.awake(true);
+			shape2.body.awake(true);
+		}
+
+		contactSolver = new ContactSolver(shape1, shape2);
+		contactSolver.contactArr = contactArr;
+	}
+
+	// Reset every step since preSolve callback may change them
+	contactSolver.enabled = true;
+	contactSolver.e = Math.max(shape1.e, shape2.e);
+	contactSolver.u = Math.sqrt(shape1.u * shape2.u);
+
+	contactSolverHash[Space.pairKey(shape1, shape2)] = contactSolver;
+
+	if (isNew) {
+		this.dispatchCollisionEvent("beginContact", contactSolver);
+	}
+
+	if (sensor) {
+		return;
+	}
+
+	this.numContacts += contactArr.length;
+
+	contactSolverArr.push(contactSolver);
+}
+
+// Constraint islands are the groups of bodies linked by contacts and joints.
+// Islands are built from the awake bodies every step, and a sleeping body reached
+// through a contact or a joint is woken up, so wake-up spreads over the whole island.
+// Static bodies are never propagated across to keep islands as small as possible.
+Space.prototype.buildIslands = function() {
+	var islandArr = [];
+
+	// Contact solvers linked to each body
+	var bodyContactHash = {};
+	for (var i = 0; i < this.contactSolverArr.length; i++) {
+		var arb = this.contactSolverArr[i];
+		var id1 = arb.shape1.body.id;
+		var id2 = arb.shape2.body.id;
+		(bodyContactHash[id1] || (bodyContactHash[id1] = [])).push(i);
+		(bodyContactHash[id2] || (bodyContactHash[id2] = [])).push(i);
+	}
+
+	// Kinetic bodies don't join the islands of the touching bodies,
+	// so the moving ones wake up the bodies connected to them instead
+	for (var i = 0; i < this.bodyArr.length; i++) {
+		var body = this.bodyArr[i];
+		if (!body || !body.isKinetic() || !body.isAwake() || (body.w == 0 && body.v.x == 0 && body.v.y == 0)) {
+			continue;
+		}
+
+		var contactIndexArr = bodyContactHash[body.id] || [];
+		for (var j = 0; j < contactIndexArr.length; j++) {
+			var arb = this.contactSolverArr[contactIndexArr[j]];
+			var other = arb.shape1.body == body ? arb.shape2.body : arb.shape1.body;
+			if (other.isDynamic() && !other.isAwake()) {
+				other.awake(true);
 			}
+		}
 
-			if (body1.stepCount == body2.stepCount) {
+		for (var j = 0; j < body.jointArr.length; j++) {
+			var joint = body.jointArr[j];
+			if (!joint) {
 				continue;
 			}
 
-			var active1 = body1.isAwake() && !body1.isStatic();
-			var active2 = body2.isAwake() && !body2.isStatic();
-
-			if (!active1 && !active2) {
-				continue;
+			var other = joint.body1 == body ? joint.body2 : joint.body1;
+			if (other.isDynamic() && !other.isAwake()) {
+				other.awake(true);
 			}
-						
-			if (!body1.isCollidable(body2)) {
-				continue;
+		}
+	}
+
+	var bodyVisited = {};
+	var contactVisited = [];
+	var jointVisited = {};
+	var stack = [];
+
+	// Island grows only through the dynamic bodies like Box2D,
+	// so the separate stacks on a kinetic platform are separate islands
+	function visit(island, other) {
+		if (other.isKinetic() && (other.w != 0 || other.v.x != 0 || other.v.y != 0)) {
+			island.movingKinetic = true;
+		}
+
+		if (other.isDynamic() && !bodyVisited[other.id]) {
+			bodyVisited[other.id] = true;
+			stack.push(other);
+		}
+	}
+
+	for (var body_index = 0; body_index < this.bodyArr.length; body_index++) {
+		var seed = this.bodyArr[body_index];
+		if (!seed) {
+			continue;
+		}
+
+		if (!seed.isAwake() || seed.isStatic() || bodyVisited[seed.id]) {
+			continue;
+		}
+
+		var island = { bodyArr: [], contactSolverArr: [], jointArr: [], positionSolved: false, movingKinetic: false };
+
+		stack.push(seed);
+		bodyVisited[seed.id] = true;
+
+		// Depth first search on the constraint graph
+		while (stack.length > 0) {
+			var body = stack.pop();
+			island.bodyArr.push(body);
+
+			if (!body.isAwake()) {
+				body.awake(true);
 			}
-		
-			if (!body1.bounds.intersectsBounds(body2.bounds)) {
+
+			// Kinetic body is integrated alone, its constraints belong to the islands of the dynamic bodies
+			if (!body.isDynamic()) {
 				continue;
 			}
-	
-			for (var i = 0; i < body1.shapeArr.length; i++) {
-				for (var j = 0; j < body2.shapeArr.length; j++) {
-					var shape1 = body1.shapeArr[i];
-					var shape2 = body2.shapeArr[j];
-								
-					var contactArr = [];
-					if (!collision.collide(shape1, shape2, contactArr)) {
+
+			var contactIndexArr = bodyContactHash[body.id];
+			if (contactIndexArr) {
+				for (var i = 0; i < contactIndexArr.length; i++) {
+					var index = contactIndexArr[i];
+					if (contactVisited[index]) {
 						continue;
 					}
 
-					if (shape1.type > shape2.type) {
-						var temp = shape1;
-						shape1 = shape2;
-						shape2 = temp;
-					}
+					var arb = this.contactSolverArr[index];
+					contactVisited[index] = true;
+					island.contactSolverArr.push(arb);
 
-					this.numContacts += contactArr.length;
+					var other = arb.shape1.body == body ? arb.shape2.body : arb.shape1.body;
+					visit(island, other);
+				}
+			}
 
-					var contactSolver = this.findContactSolver(shape1, shape2);
-					if (contactSolver) {
-						contactSolver.update(contactArr);
-						newContactSolverArr.push(contactSolver);
-					}
-					else {
-						body1.awake(true);
-						body2.awake(true);
-
-						var newContactSolver = new ContactSolver(shape1, shape2);
-						newContactSolver.contactArr = contactArr;
-						newContactSolver.e = Math.max(shape1.e, shape2.e);
-						newContactSolver.u = Math.sqrt(shape1.u * shape2.u);
-						newContactSolverArr.push(newContactSolver);
-					}
+			for (var i = 0; i < body.jointArr.length; i++) {
+				var joint = body.jointArr[i];
+				if (!joint || jointVisited[joint.id]) {
+					continue;
 				}
+
+				jointVisited[joint.id] = true;
+				island.jointArr.push(joint);
+
+				var other = joint.body1 == body ? joint.body2 : joint.body1;
+				visit(island, other);
 			}
 		}
-	}
 
-	stats.timeCollision = Date.now() - t0;
+		islandArr.push(island);
+	}
 
-	return newContactSolverArr;
+	return islandArr;
 }
 
-Space.prototype.initSolver = function(dt, dt_inv, warmStarting) {
+Space.prototype.initSolver = function(island, dt, dt_inv, warmStarting) {
 	var t0 = Date.now();
 
 	// Initialize contact solvers
-	for (var i = 0; i < this.contactSolverArr.length; i++) {
-		this.contactSolverArr[i].initSolver(dt_inv);
+	for (var i = 0; i < island.contactSolverArr.length; i++) {
+		island.contactSolverArr[i].initSolver(dt_inv);
 	}
 
 	// Initialize joint solver
-	for (var i = 0; i < this.jointArr.length; i++) {
-		if (this.jointArr[i]) {
-			this.jointArr[i].initSolver(dt, warmStarting);
-		}
+	for (var i = 0; i < island.jointArr.length; i++) {
+		island.jointArr[i].initSolver(dt, warmStarting);
 	}
 
 	// Warm starting (apply cached impulse)
 	if (warmStarting) {
-		for (var i = 0; i < this.contactSolverArr.length; i++) {
-			this.contactSolverArr[i].warmStart();
+		for (var i = 0; i < island.contactSolverArr.length; i++) {
+			island.contactSolverArr[i].warmStart();
 		}
 	}
 
-	stats.timeInitSolver = Date.now() - t0;
+	stats.timeInitSolver += Date.now() - t0;
 }
 
-Space.prototype.velocitySolver = function(iteration) {
+Space.prototype.velocitySolver = function(island, iteration) {
 	var t0 = Date.now();
 	
 	for (var i = 0; i < iteration; i++) {
-		for (var j = 0; j < this.jointArr.length; j++) {
-			if (this.jointArr[j]) {
-				this.jointArr[j].solveVelocityConstraints();
-			}
+		for (var j = 0; j < island.jointArr.length; j++) {
+			island.jointArr[j].solveVelocityConstraints();
 		}
 
-		for (var j = 0; j < this.contactSolverArr.length; j++) {
-			this.contactSolverArr[j].solveVelocityConstraints();
+		for (var j = 0; j < island.contactSolverArr.length; j++) {
+			island.contactSolverArr[j].solveVelocityConstraints();
 		}
 	}
 
-	stats.timeVelocitySolver = Date.now() - t0;
+	stats.timeVelocitySolver += Date.now() - t0;
 }
 
-Space.prototype.positionSolver = function(iteration) {
+Space.prototype.positionSolver = function(island, iteration) {
 	var t0 = Date.now();    
 
 	var positionSolved = false;
-
-	stats.positionIterations = 0;
+	var positionIterations = 0;
 	
 	for (var i = 0; i < iteration; i++) {
 		var contactsOk = true;
 		var jointsOk = true;
 
-		for (var j = 0; j < this.contactSolverArr.length; j++) {
-			var contactOk = this.contactSolverArr[j].solvePositionConstraints();
+		for (var j = 0; j < island.contactSolverArr.length; j++) {
+			var contactOk = island.contactSolverArr[j].solvePositionConstraints();
 			contactsOk = contactOk && contactsOk;
 		}
 
-		for (var j = 0; j < this.jointArr.length; j++) {
-			if (this.jointArr[j]) {
-				var jointOk = this.jointArr[j].solvePositionConstraints();
-				jointsOk = jointOk && jointsOk;
-			}
+		for (var j = 0; j < island.jointArr.length; j++) {
+			var jointOk = island.jointArr[j].solvePositionConstraints();
+			jointsOk = jointOk && jointsOk;
 		}
 		
 		if (contactsOk && jointsOk) {
@@ -607,103 +1676,200 @@ Space.prototype.positionSolver = function(iteration) {
 			break;
 		}
 
-		stats.positionIterations++;
+		positionIterations++;
 	}
 
-	stats.timePositionSolver = Date.now() - t0;
+	stats.positionIterations = Math.max(stats.positionIterations, positionIterations);
+	stats.timePositionSolver += Date.now() - t0;
 
 	return positionSolved;
 }
 
-Space.prototype.step = function(dt, vel_iteration, pos_iteration, warmStarting, allowSleep) {
-	var dt_inv = 1 / dt; 
-
-	this.stepCount++;
-	
-	// Generate contact & contactSolver
-	this.contactSolverArr = this.genTemporalContactSolvers();
-
+Space.prototype.solveIsland = function(island, dt, dt_inv, vel_iteration, pos_iteration, warmStarting) {
 	// Initialize contacts & joints solver
-	this.initSolver(dt, dt_inv, warmStarting);    
+	this.initSolver(island, dt, dt_inv, warmStarting);
 
 	// Intergrate velocity
-	for (var i = 0; i < this.bodyArr.length; i++) {
-		var body = this.bodyArr[i];
-		if (!body) {
-			continue;
+	// Kinetic bodies keep their own velocity, unaffected by forces
+	for (var i = 0; i < island.bodyArr.length; i++) {
+		var body = island.bodyArr[i];
+		if (body.isDynamic()) {
+			body.updateVelocity(this.gravity, dt, this.damping);
 		}
+	}
 
-		if (body.isDynamic() && body.isAwake()) {
-			body.updateVelocity(this.gravity, dt, this.damping);
+	// Iterative velocity constraints solver
+	this.velocitySolver(island, vel_iteration);
+
+	// Intergrate position of dynamic & kinetic bodies
+	for (var i = 0; i < island.bodyArr.length; i++) {
+		var body = island.bodyArr[i];
+
+		// Save the beginning of motion for continuous collision detection
+		if (body.isDynamic() && body.bullet) {
+			body.sweep = new Sweep(body.centroid, body.p, body.a, body.p, body.a);
 		}
+
+		body.updatePosition(dt);
 	}
 
-	//
-	for (var i = 0; i < this.jointArr.length; i++) {
-		var joint = this.jointArr[i];
-		if (!joint) {
-			continue;
+	// Process breakable joint
+	for (var i = island.jointArr.length - 1; i >= 0; i--) {
+		var joint = island.jointArr[i];
+		if (joint.breakable) {
+			if (joint.getReactionForce(dt_inv).lengthsq() >= joint.maxForce * joint.maxForce) {
+				this.removeJoint(joint);
+				island.jointArr.splice(i, 1);
+			}
 		}
+	}
+
+	// Iterative position constraints solver
+	island.positionSolved = this.positionSolver(island, pos_iteration);
+
+	for (var i = 0; i < island.bodyArr.length; i++) {
+		island.bodyArr[i].syncTransform();
+	}
+}
+
+// Each island goes to sleep when all of its bodies have been resting for Space.TIME_TO_SLEEP
+Space.prototype.sleepIsland = function(island, dt) {
+	var minSleepTime = 999999;
 
-		var body1 = joint.body1;
-		var body2 = joint.body2;
+	var linTolSqr = Space.SLEEP_LINEAR_TOLERANCE * Space.SLEEP_LINEAR_TOLERANCE;
+	var angTolSqr = Space.SLEEP_ANGULAR_TOLERANCE * Space.SLEEP_ANGULAR_TOLERANCE;
 
-		var awake1 = body1.isAwake() && !body1.isStatic();
-		var awake2 = body2.isAwake() && !body2.isStatic();
+	for (var i = 0; i < island.bodyArr.length; i++) {
+		var body = island.bodyArr[i];
 
-		if (awake1 ^ awake2) {
-			if (!awake1)
-				body1.awake(true);
-			if (!awake2)
-				body2.awake(true);
+		// Moving kinetic body never sleeps, since nothing would wake it up again
+		if (body.isKinetic() && (body.w != 0 || body.v.x != 0 || body.v.y != 0)) {
+			body.sleepTime = 0;
+			minSleepTime = 0;
+		}
+		else if (body.w * body.w > angTolSqr || body.v.dot(body.v) > linTolSqr) {
+			body.sleepTime = 0;
+			minSleepTime = 0;
+		}
+		else {
+			body.sleepTime += dt;
+			minSleepTime = Math.min(minSleepTime, body.sleepTime);
 		}
 	}
 
-	// Iterative velocity constraints solver
-	this.velocitySolver(vel_iteration);
+	// Bodies carried by the moving kinetic body should follow it
+	if (island.movingKinetic) {
+		minSleepTime = 0;
+	}
+
+	if (island.positionSolved && minSleepTime >= Space.TIME_TO_SLEEP) {
+		for (var i = 0; i < island.bodyArr.length; i++) {
+			island.bodyArr[i].awake(false);
+		}
+	}
+}
+
+// Clamp the motion of bullets at the first time of impact against non-dynamic bodies,
+// so that fast moving bodies never tunnel through static geometries.
+// Resulting contacts are resolved by contact solvers in the next step.
+Space.prototype.solveTOI = function() {
+	var broadPhase = this.broadPhase;
+	var space = this;
 
-	// Intergrate position
 	for (var i = 0; i < this.bodyArr.length; i++) {
 		var body = this.bodyArr[i];
 		if (!body) {
-			continue
+			continue;
 		}
 
-		if (body.isDynamic() && body.isAwake()) {
-			body.updatePosition(dt);
+		if (!body.bullet || !body.isDynamic() || !body.isAwake() || !body.sweep) {
+			continue;
 		}
-	}
 
-	// Process breakable joint
-	for (var i = 0; i < this.jointArr.length; i++) {
-		var joint = this.jointArr[i];
-		if (!joint) {
-			continue;
+		var sweep = body.sweep;
+		sweep.p1.copy(body.p);
+		sweep.a1 = body.a;
+		body.sweep = null;
+
+		// Bounds of the whole motion (body.bounds is not updated yet in this step)
+		var sweptBounds = new Bounds(body.bounds.mins, body.bounds.maxs);
+		for (var j = 0; j < body.shapeArr.length; j++) {
+			var shape = body.shapeArr[j];
+			shape.cacheData(body.xf);
+			sweptBounds.addBounds(shape.bounds);
 		}
 
-		if (joint.breakable) {
-			if (joint.getReactionForce(dt_inv).lengthsq() >= joint.maxForce * joint.maxForce)
-				this.removeJoint(joint);
+		var minToi = 1;
+
+		broadPhase.query(sweptBounds, function(shape2) {
+			var body2 = shape2.body;
+			if (body2.isDynamic() || !body.isCollidable(body2)) {
+				return;
+			}
+
+			for (var j = 0; j < body.shapeArr.length; j++) {
+				var shape = body.shapeArr[j];
+				if (!shape.isCollidable(shape2) || !space.shouldCollide(shape, shape2)) {
+					continue;
+				}
+
+				// Sensors only report overlaps and never block the motion
+				if (shape.isSensor || shape2.isSensor) {
+					continue;
+				}
+
+				var toi = collision.timeOfImpact(shape, sweep, shape2, null);
+				minToi = Math.min(minToi, toi);
+			}
+		});
+
+		if (minToi < 1) {
+			// Move to the time of impact
+			body.p = vec2.lerp(sweep.p0, sweep.p1, minToi);
+			body.a = sweep.a0 + (sweep.a1 - sweep.a0) * minToi;
+			body.syncTransform();
 		}
 	}
+}
 
-	// Iterative position constraints solver
-	var positionSolved = this.positionSolver(pos_iteration);
+Space.prototype.step = function(dt, vel_iteration, pos_iteration, warmStarting, allowSleep) {
+	var dt_inv = 1 / dt; 
 
-	// 
-	for (var i = 0; i < this.bodyArr.length; i++) {
-		var body = this.bodyArr[i];
-		if (!body) {
-			continue;
+	this.stepCount++;
+	
+	// Generate contact & contactSolver
+	var contactSolverArr = this.genTemporalContactSolvers();
+
+	// Pre solve collision callback
+	this.contactSolverArr = [];
+	for (var i = 0; i < contactSolverArr.length; i++) {
+		var arb = contactSolverArr[i];
+		this.dispatchCollisionEvent("preSolve", arb);
+
+		// Disabled contact solver is skipped for this step
+		if (arb.enabled) {
+			this.contactSolverArr.push(arb);
 		}
+	}
 
-		body.syncTransform();
+	stats.timeInitSolver = 0;
+	stats.timeVelocitySolver = 0;
+	stats.timePositionSolver = 0;
+	stats.positionIterations = 0;
+
+	// Solve each awake island separately, sleeping islands are skipped entirely
+	var islandArr = this.buildIslands();
+	for (var i = 0; i < islandArr.length; i++) {
+		this.solveIsland(islandArr[i], dt, dt_inv, vel_iteration, pos_iteration, warmStarting);
 	}
 
+	// Continuous collision detection for bullets
+	this.solveTOI();
+
 	// Post solve collision callback
 	for (var i = 0; i < this.contactSolverArr.length; i++) {
 		var arb = this.contactSolverArr[i];
-		this.postSolve(arb);
+		this.dispatchCollisionEvent("postSolve", arb);
 	}
 
 	for (var i = 0; i < this.bodyArr.length; i++) {
@@ -712,48 +1878,16 @@ Space.prototype.step = function(dt, vel_iteration, pos_iteration, warmStarting,
 			continue;
 		}
 
-		if (body.isDynamic() && body.isAwake()) {
+		if (!body.isStatic() && body.isAwake()) {
 			body.cacheData();
 		}
 	}
 
 	// Process sleeping
 	if (allowSleep) {
-		var minSleepTime = 999999;
-
-		var linTolSqr = Space.SLEEP_LINEAR_TOLERANCE * Space.SLEEP_LINEAR_TOLERANCE;
-		var angTolSqr = Space.SLEEP_ANGULAR_TOLERANCE * Space.SLEEP_ANGULAR_TOLERANCE;
-
-		for (var i = 0; i < this.bodyArr.length; i++) {
-		   	var body = this.bodyArr[i];
-		   	if (!body) {
-		   		continue;
-		   	}
-		   
-			if (!body.isDynamic()) {
-				continue;
-			}
-
-			if (body.w * body.w > angTolSqr || body.v.dot(body.v) > linTolSqr) {
-				body.sleepTime = 0;
-				minSleepTime = 0;
-			}
-			else {
-				body.sleepTime += dt;
-				minSleepTime = Math.min(minSleepTime, body.sleepTime);
-			}
+		for (var i = 0; i < islandArr.length; i++) {
+			this.sleepIsland(islandArr[i], dt);
 		}
-
-		if (positionSolved && minSleepTime >= Space.TIME_TO_SLEEP) {
-			for (var i = 0; i < this.bodyArr.length; i++) {
-				var body = this.bodyArr[i];
-				if (!body) {
-					continue;
-				}
-
-				body.awake(false);
-			}
-		}
-	}	
+	}
 }
 
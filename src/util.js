@@ -83,10 +83,169 @@ function inertiaForPoly(mass, verts, offset) {
 	return (mass * sum1) / (6 * sum2);
 }
 
+// Rounded polygon is the polygon (counter-clockwise verts) expanded by the radius,
+// which consists of the inner polygon, a rectangle on each edge and a circular sector on each convex corner.
+// Rectangles of the edges overlap on each concave corner, so the overlapped kite is subtracted.
+// Coincident verts are skipped, so the inner polygon can collapse to a line segment or a point.
+function roundedPolyParts(verts, radius) {
+	var parts = [];
+
+	var uniqueVerts = [];
+	for (var i = 0; i < verts.length; i++) {
+		if (vec2.distsq(verts[i], verts[(i + 1) % verts.length]) > 0) {
+			uniqueVerts.push(verts[i]);
+		}
+	}
+
+	// Inner polygon collapsed to a point is just a circle
+	if (uniqueVerts.length < 2) {
+		var circleArea = areaForCircle(radius, 0);
+		parts.push({ area: circleArea, centroid: verts[0].duplicate(), inertia: inertiaForCircle(circleArea, verts[0], radius, 0) });
+		return parts;
+	}
+
+	verts = uniqueVerts;
+	var area = areaForPoly(verts);
+
+	if (area > 0) {
+		parts.push({ area: area, centroid: centroidForPoly(verts), inertia: inertiaForPoly(area, verts, vec2.zero) });
+	}
+
+	for (var i = 0; i < verts.length; i++) {
+		var v0 = verts[(i + verts.length - 1) % verts.length];
+		var v1 = verts[i];
+		var v2 = verts[(i + 1) % verts.length];
+		var n1 = vec2.normalize(vec2.rperp(vec2.sub(v1, v0)));
+		var n2 = vec2.normalize(vec2.rperp(vec2.sub(v2, v1)));
+
+		// Rectangle on the edge v1 -> v2
+		var len = vec2.dist(v1, v2);
+		var rectArea = len * radius;
+		var rectCentroid = vec2.mad(vec2.lerp(v1, v2, 0.5), n2, radius * 0.5);
+		parts.push({ area: rectArea, centroid: rectCentroid, inertia: rectArea * ((len * len + radius * radius) / 12 + rectCentroid.lengthsq()) });
+
+		// Concave corner v1 turns right
+		if (vec2.cross(n1, n2) < 0) {
+			var kite = [v1, vec2.mad(v1, n1, radius), vec2.mad(v1, vec2.add(n1, n2), radius / (1 + vec2.dot(n1, n2))), vec2.mad(v1, n2, radius)];
+			var kiteArea = Math.abs(areaForPoly(kite));
+			parts.push({ area: -kiteArea, centroid: centroidForPoly(kite), inertia: -inertiaForPoly(kiteArea, kite, vec2.zero) });
+			continue;
+		}
+
+		// Circular sector on the convex corner v1
+		var angle = Math.acos(Math.clamp(vec2.dot(n1, n2), -1, 1));
+		if (angle > 0) {
+			var sectorArea = angle * radius * radius * 0.5;
+			var sectorOffset = 4 * radius * Math.sin(angle * 0.5) / (3 * angle);
+			var sectorCentroid = vec2.mad(v1, vec2.rotate(n1, angle * 0.5), sectorOffset);
+			var sectorInertia = sectorArea * (radius * radius * 0.5 - sectorOffset * sectorOffset + sectorCentroid.lengthsq());
+			parts.push({ area: sectorArea, centroid: sectorCentroid, inertia: sectorInertia });
+		}
+	}
+
+	return parts;
+}
+
+function areaForRoundedPoly(verts, radius) {
+	var parts = roundedPolyParts(verts, radius);
+	var area = 0;
+
+	for (var i = 0; i < parts.length; i++) {
+		area += parts[i].area;
+	}
+
+	return area;
+}
+
+function centroidForRoundedPoly(verts, radius) {
+	var parts = roundedPolyParts(verts, radius);
+	var area = 0;
+	var vsum = new vec2(0, 0);
+
+	for (var i = 0; i < parts.length; i++) {
+		area += parts[i].area;
+		vsum.mad(parts[i].centroid, parts[i].area);
+	}
+
+	return vec2.scale(vsum, 1 / area);
+}
+
+function inertiaForRoundedPoly(mass, verts, radius) {
+	var parts = roundedPolyParts(verts, radius);
+	var area = 0;
+	var inertia = 0;
+
+	for (var i = 0; i < parts.length; i++) {
+		area += parts[i].area;
+		inertia += parts[i].inertia;
+	}
+
+	return mass * inertia / area;
+}
+
 function inertiaForBox(mass, w, h) {
 	return mass * (w * w + h * h) / 12;
 }
 
+// Closest point to p on line segment a -> b
+function closestPointOnSegment(p, a, b) {
+	var d = vec2.sub(b, a);
+	var dsq = vec2.dot(d, d);
+	if (dsq == 0) {
+		return a.duplicate();
+	}
+
+	var t = Math.clamp(vec2.dot(vec2.sub(p, a), d) / dsq, 0, 1);
+	return vec2.mad(a, d, t);
+}
+
+// Ray p1 -> p2 against circle. Returns { fraction, normal } or null.
+// No hit if the ray starts inside of the circle.
+function rayCastCircle(p1, p2, center, radius) {
+	var d = vec2.sub(p2, p1);
+	var f = vec2.sub(p1, center);
+	var a = vec2.dot(d, d);
+	var b = vec2.dot(f, d);
+	var c = vec2.dot(f, f) - radius * radius;
+
+	if (c < 0 || a == 0) {
+		return null;
+	}
+
+	var disc = b * b - a * c;
+	if (disc < 0) {
+		return null;
+	}
+
+	var t = (-b - Math.sqrt(disc)) / a;
+	if (t < 0 || t > 1) {
+		return null;
+	}
+
+	return { fraction: t, normal: vec2.normalize(vec2.mad(f, d, t)) };
+}
+
+// Ray p1 -> p2 against line segment a -> b. Returns fraction of the ray or -1.
+function rayCastLineSegment(p1, p2, a, b) {
+	var d = vec2.sub(p2, p1);
+	var e = vec2.sub(b, a);
+	var denom = vec2.cross(d, e);
+
+	if (denom == 0) {
+		return -1;
+	}
+
+	var ap = vec2.sub(a, p1);
+	var t = vec2.cross(ap, e) / denom;
+	var u = vec2.cross(ap, d) / denom;
+
+	if (t < 0 || t > 1 || u < 0 || u > 1) {
+		return -1;
+	}
+
+	return t;
+}
+
 // Create the convex hull using the Gift wrapping algorithm
 // http://en.wikipedia.org/wiki/Gift_wrapping_algorithm
 function createConvexHull(points) {	
@@ -144,4 +303,168 @@ function createConvexHull(points) {
 	}
 
 	return newPoints;
-}
\ No newline at end of file
+}
+
+// Triangulate the simple polygon by ear clipping.
+// verts should be counter-clockwise. Returns the array of triangles, each is the array of 3 vertices.
+function triangulatePoly(verts) {
+	var indexArr = [];
+	for (var i = 0; i < verts.length; i++) {
+		indexArr.push(i);
+	}
+
+	var triangleArr = [];
+
+	while (indexArr.length > 3) {
+		var n = indexArr.length;
+		var earIndex = -1;
+		var collinearIndex = -1;
+
+		for (var i = 0; i < n && earIndex == -1; i++) {
+			var a = verts[indexArr[(i + n - 1) % n]];
+			var b = verts[indexArr[i]];
+			var c = verts[indexArr[(i + 1) % n]];
+			var cross = vec2.cross(vec2.sub(b, a), vec2.sub(c, b));
+
+			// Reflex vertex is not an ear
+			if (cross <= 0) {
+				if (cross == 0) {
+					collinearIndex = i;
+				}
+				continue;
+			}
+
+			earIndex = i;
+
+			// Ear should not contain any other vertex
+			for (var j = 0; j < n; j++) {
+				var p = verts[indexArr[j]];
+				if (p == a || p == b || p == c) {
+					continue;
+				}
+
+				if (vec2.cross(vec2.sub(b, a), vec2.sub(p, a)) >= 0 &&
+					vec2.cross(vec2.sub(c, b), vec2.sub(p, b)) >= 0 &&
+					vec2.cross(vec2.sub(a, c), vec2.sub(p, c)) >= 0) {
+					earIndex = -1;
+					break;
+				}
+			}
+		}
+
+		if (earIndex != -1) {
+			triangleArr.push([verts[indexArr[(earIndex + n - 1) % n]], verts[indexArr[earIndex]], verts[indexArr[(earIndex + 1) % n]]]);
+			indexArr.splice(earIndex, 1);
+		}
+		else if (collinearIndex != -1) {
+			indexArr.splice(collinearIndex, 1);
+		}
+		else {
+			// Self-intersecting polygon
+			break;
+		}
+	}
+
+	if (indexArr.length == 3) {
+		var tri = [verts[indexArr[0]], verts[indexArr[1]], verts[indexArr[2]]];
+		if (areaForPoly(tri) > 0) {
+			triangleArr.push(tri);
+		}
+	}
+
+	return triangleArr;
+}
+
+// Decompose the simple polygon into convex polygons.
+// Triangulate the polygon and then remove the diagonals between the triangles
+// as long as the merged polygon remains convex (Hertel-Mehlhorn).
+// verts should be counter-clockwise. Returns null if the polygon is clockwise or self-intersecting.
+function decomposePoly(verts) {
+	var n = verts.length;
+
+	// Edges should not cross any other edge but the adjacent ones
+	for (var i = 0; i < n; i++) {
+		for (var j = i + 2; j < n; j++) {
+			if (i == 0 && j == n - 1) {
+				continue;
+			}
+
+			if (rayCastLineSegment(verts[i], verts[i + 1], verts[j], verts[(j + 1) % n]) != -1) {
+				return null;
+			}
+		}
+	}
+
+	// Clockwise outline is not decomposed
+	var polyArea = areaForPoly(verts);
+	if (polyArea <= 0) {
+		return null;
+	}
+
+	var polyArr = triangulatePoly(verts);
+
+	var area = 0;
+	for (var i = 0; i < polyArr.length; i++) {
+		area += areaForPoly(polyArr[i]);
+	}
+
+	// Parts should cover the outline exactly
+	if (polyArr.length == 0 || Math.abs(area - polyArea) > polyArea * 0.001) {
+		return null;
+	}
+
+	for (var i = 0; i < polyArr.length; i++) {
+		for (var j = i + 1; j < polyArr.length; j++) {
+			var merged = mergeConvexPolys(polyArr[i], polyArr[j]);
+			if (merged) {
+				polyArr[i] = merged;
+				polyArr.splice(j, 1);
+				j = i;
+			}
+		}
+	}
+
+	return polyArr;
+}
+
+// Merge two counter-clockwise polygons sharing the edge.
+// Returns null if they don't share any edge or the merged polygon is not convex.
+function mergeConvexPolys(poly1, poly2) {
+	var n1 = poly1.length;
+	var n2 = poly2.length;
+
+	for (var i = 0; i < n1; i++) {
+		var a = poly1[i];
+		var b = poly1[(i + 1) % n1];
+
+		for (var j = 0; j < n2; j++) {
+			// Shared edge has the opposite direction in the other polygon
+			if (poly2[j] != b || poly2[(j + 1) % n2] != a) {
+				continue;
+			}
+
+			// poly1 from b to a, and then poly2 between a and b
+			var merged = [];
+			for (var k = 0; k < n1; k++) {
+				merged.push(poly1[(i + 1 + k) % n1]);
+			}
+
+			for (var k = 2; k < n2; k++) {
+				merged.push(poly2[(j + k) % n2]);
+			}
+
+			for (var k = 0; k < merged.length; k++) {
+				var v0 = merged[(k + merged.length - 1) % merged.length];
+				var v1 = merged[k];
+				var v2 = merged[(k + 1) % merged.length];
+				if (vec2.cross(vec2.sub(v1, v0), vec2.sub(v2, v1)) < 0) {
+					return null;
+				}
+			}
+
+			return merged;
+		}
+	}
+
+	return null;
+}